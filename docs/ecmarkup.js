@@ -71,14 +71,11 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
-  document.addEventListener(
-    'keydown',
-    debounce(e => {
-      if (e.code === 'Escape') {
-        sdoBox.deactivate();
-      }
-    })
-  );
+  document.addEventListener('keydown', e => {
+    if (keymap.matches('sdo-close', e)) {
+      sdoBox.deactivate();
+    }
+  });
 });
 
 'use strict';
@@ -87,19 +84,25 @@ function Search(menu) {
   this.$search = document.getElementById('menu-search');
   this.$searchBox = document.getElementById('menu-search-box');
   this.$searchResults = document.getElementById('menu-search-results');
+  this.$searchPreview = document.createElement('div');
+  this.$searchPreview.setAttribute('id', 'menu-search-preview');
+  this.$search.appendChild(this.$searchPreview);
+  this.selected = 0;
 
-  this.loadBiblio();
+  this.$searchBox.setAttribute('role', 'combobox');
+  this.$searchBox.setAttribute('aria-autocomplete', 'list');
+  this.$searchBox.setAttribute('aria-controls', 'menu-search-listbox');
+  this.$searchBox.setAttribute('aria-expanded', 'false');
 
-  document.addEventListener('keydown', this.documentKeydown.bind(this));
+  this.loadBiblio();
 
-  this.$searchBox.addEventListener(
-    'keydown',
-    debounce(this.searchBoxKeydown.bind(this), { stopPropagation: true })
-  );
+  // not debounced: navigation keys must be handled, and their defaults prevented, as they happen
+  this.$searchBox.addEventListener('keydown', this.searchBoxKeydown.bind(this));
   this.$searchBox.addEventListener(
     'keyup',
     debounce(this.searchBoxKeyup.bind(this), { stopPropagation: true })
   );
+  this.$searchResults.addEventListener('click', this.searchResultsClick.bind(this));
 
   // Perform an initial search if the box is not empty.
   if (this.$searchBox.value) {
@@ -126,30 +129,56 @@ Search.prototype.loadBiblio = function () {
         refParentClause[ref] = clause;
       });
     });
-  }
-};
-
-Search.prototype.documentKeydown = function (e) {
-  if (e.key === '/') {
-    e.preventDefault();
-    e.stopPropagation();
-    this.triggerSearch();
+    let refTargetClause = Object.create(null);
+    this.biblio.refTargetClause = refTargetClause;
+    this.biblio.entries.forEach(entry => {
+      (entry.referencingIds || []).forEach(ref => {
+        refTargetClause[ref] = entry.id;
+      });
+    });
   }
 };
 
 Search.prototype.searchBoxKeydown = function (e) {
   e.stopPropagation();
-  e.preventDefault();
-  if (e.keyCode === 191 && e.target.value.length === 0) {
+  let count = this.getResultItems().length;
+  if (keymap.matches('search', e) && e.target.value.length === 0) {
     e.preventDefault();
-  } else if (e.keyCode === 13) {
+  } else if (keymap.matches('search-select', e)) {
     e.preventDefault();
     this.selectResult();
+  } else if (keymap.matches('search-peek', e)) {
+    e.preventDefault();
+    this.peekResult();
+  } else if (count === 0) {
+    return;
+  } else if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    this.selectIndex((this.selected + 1) % count);
+  } else if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    this.selectIndex((this.selected - 1 + count) % count);
+  } else if (e.key === 'Home') {
+    e.preventDefault();
+    this.selectIndex(0);
+  } else if (e.key === 'End') {
+    e.preventDefault();
+    this.selectIndex(count - 1);
   }
 };
 
+Search.prototype.searchResultsClick = function (e) {
+  let $link = e.target.closest('a[data-body-hit]');
+  if ($link == null) {
+    return;
+  }
+  e.preventDefault();
+  this.selectResult($link);
+};
+
 Search.prototype.searchBoxKeyup = function (e) {
-  if (e.keyCode === 13 || e.keyCode === 9) {
+  // keys that don't edit the query, like the arrows, leave the selection alone
+  if (e.target.value === this.searchString) {
     return;
   }
 
@@ -167,30 +196,146 @@ Search.prototype.triggerSearch = function () {
   this.$searchBox.focus();
   this.$searchBox.select();
 };
-// bit 12 - Set if the result starts with searchString
-// bits 8-11: 8 - number of chunks multiplied by 2 if cases match, otherwise 1.
-// bits 1-7: 127 - length of the entry
-// General scheme: prefer case sensitive matches with fewer chunks, and otherwise
-// prefer shorter matches.
+// Prefer better matches, then operations and built-ins over prose clauses and other entries, and
+// otherwise prefer shorter keys.
 function relevance(result) {
-  let relevance = 0;
+  let weight = result.entry ? getEntryWeight(result.entry) : 0;
+  return (result.match.score + weight) * 256 + Math.max(0, 255 - result.key.length);
+}
 
-  relevance = Math.max(0, 8 - result.match.chunks) << 7;
+function getEntryWeight(entry) {
+  switch (entry.type) {
+    case 'op':
+      return 6;
+    case 'clause':
+      // signatures of operations and built-ins, as opposed to headings like "Modifications to …"
+      return /^(?:[gs]et )?%?[A-Z][\w%]*(?:\.[\w%]+)*(?: \[ @@\w+ \])?(?: \(|$)/.test(getKey(entry))
+        ? 6
+        : 2;
+    case 'production':
+    case 'term':
+      return 1;
+    default:
+      return 0;
+  }
+}
 
-  if (result.match.caseMatch) {
-    relevance *= 2;
+// Matches searchString against key as a subsequence of its characters, ignoring case and
+// whitespace. Characters at the start of a word score higher, as do runs of consecutive
+// characters, so "iiooob" finds IsIntegerIndexedObjectOutOfBounds and "viewbytelen" finds
+// GetViewByteLength. A query spelling out the whole name at the end of key scores higher still, so
+// "resize" prefers ArrayBuffer.prototype.resize to HostResizeArrayBuffer. Returns the best score
+// with the positions it matched in key, or null.
+function matchKey(searchString, key) {
+  let query = searchString.replace(/\s+/g, '');
+  let lowerQuery = query.toLowerCase();
+  let lowerKey = key.toLowerCase();
+  if (query.length === 0 || query.length > key.length) {
+    return null;
+  }
+  let wordStarts = getWordStarts(key);
+  let firstWord = key.search(/[a-z0-9]/i);
+
+  // scores[i][j] is the best score for query[0..i] with query[i] matched at key[j]
+  let scores = [];
+  let from = [];
+  for (let i = 0; i < query.length; i++) {
+    let row = new Array(key.length).fill(-Infinity);
+    let rowFrom = new Array(key.length).fill(-1);
+    let previous = scores[i - 1];
+    // the best match of query[i - 1] that leaves a gap before key[j]
+    let gapped = -Infinity;
+    let gappedAt = -1;
+    for (let j = i; j < key.length; j++) {
+      if (i > 0 && j >= 2 && previous[j - 2] > gapped) {
+        gapped = previous[j - 2];
+        gappedAt = j - 2;
+      }
+      if (lowerKey[j] !== lowerQuery[i]) {
+        continue;
+      }
+      // capitals in the query are taken as meant, lowercase as not saying either way
+      let caseMatch = key[j] === query[i] && query[i] !== lowerQuery[i];
+      let bonus = (wordStarts[j] ? 8 : 0) + (caseMatch ? 1 : 0);
+      if (i === 0) {
+        row[j] = bonus + (j === firstWord ? 4 : 0);
+      } else if (previous[j - 1] + 4 >= gapped - 3) {
+        row[j] = previous[j - 1] + 4 + bonus;
+        rowFrom[j] = j - 1;
+      } else {
+        row[j] = gapped - 3 + bonus;
+        rowFrom[j] = gappedAt;
+      }
+    }
+    scores.push(row);
+    from.push(rowFrom);
   }
 
-  if (result.match.prefix) {
-    relevance += 2048;
+  let last = scores[query.length - 1];
+  let end = last.indexOf(Math.max(...last));
+  if (last[end] === -Infinity) {
+    return null;
   }
+  let name = getFinalSegment(key);
+  if (name.text.toLowerCase() === lowerQuery) {
+    let positions = [...name.text].map((_, i) => name.start + i);
+    return { score: last[end] + 8, positions };
+  }
+  let positions = [];
+  for (let i = query.length - 1, j = end; i >= 0; j = from[i][j], i--) {
+    positions.unshift(j);
+  }
+  return { score: last[end], positions };
+}
+
+// The name a key ends with, before any parameter list: resize in
+// "ArrayBuffer.prototype.resize ( newLength )".
+function getFinalSegment(key) {
+  let end = key.indexOf(' (');
+  let head = end === -1 ? key : key.slice(0, end);
+  let start = Math.max(head.lastIndexOf('.'), head.lastIndexOf(' ')) + 1;
+  return { text: head.slice(start), start };
+}
 
-  relevance += Math.max(0, 255 - result.key.length);
+// Words start after punctuation or spaces, at camelCase humps (including the last capital of an
+// acronym followed by a lowercase letter, as in HTMLElement) and where letters and digits meet.
+function getWordStarts(key) {
+  let starts = [];
+  for (let i = 0; i < key.length; i++) {
+    let char = key[i];
+    let previous = key[i - 1] || '';
+    let next = key[i + 1] || '';
+    if (!/[a-z0-9]/i.test(char)) {
+      starts.push(false);
+    } else if (!/[a-z0-9]/i.test(previous) || /\d/.test(char) !== /\d/.test(previous)) {
+      starts.push(true);
+    } else if (/[A-Z]/.test(char)) {
+      starts.push(/[a-z]/.test(previous) || /[a-z]/.test(next));
+    } else {
+      starts.push(false);
+    }
+  }
+  return starts;
+}
 
-  return relevance;
+// Escapes text for HTML, wrapping the characters at the given positions in <mark>.
+function highlightMatch(text, positions) {
+  let html = '';
+  let marked = new Set(positions);
+  for (let i = 0; i < text.length; i++) {
+    if (marked.has(i) && !marked.has(i - 1)) {
+      html += '<mark>';
+    }
+    html += escapeHTML(text[i]);
+    if (marked.has(i) && !marked.has(i + 1)) {
+      html += '</mark>';
+    }
+  }
+  return html;
 }
 
 Search.prototype.search = function (searchString) {
+  this.searchString = searchString;
   if (searchString === '') {
     this.displayResults([]);
     this.hideSearch();
@@ -221,14 +366,14 @@ Search.prototype.search = function (searchString) {
         continue;
       }
 
-      let match = fuzzysearch(searchString, key);
+      let match = matchKey(searchString, key);
       if (match) {
         results.push({ key, entry, match });
       }
     }
 
     results.forEach(result => {
-      result.relevance = relevance(result, searchString);
+      result.relevance = relevance(result);
     });
 
     results = results.sort((a, b) => b.relevance - a.relevance);
@@ -238,8 +383,111 @@ Search.prototype.search = function (searchString) {
     results = results.slice(0, 50);
   }
 
+  if (!/^[\d.]*$/.test(searchString)) {
+    // body hits are ranked below every biblio key match
+    results = results.concat(this.searchBody(searchString));
+  }
+
   this.displayResults(results);
 };
+
+// The body index only covers the clauses rendered on the current page.
+Search.prototype.getBodyIndex = function () {
+  if (this.bodyIndex) {
+    return this.bodyIndex;
+  }
+  this.bodyIndex = getTextBlocks(this.menu.$specContainer).map(block => ({
+    $block: block.$block,
+    clauseId: block.$clause.id,
+    text: block.text,
+    lowerText: block.text.toLowerCase(),
+  }));
+  return this.bodyIndex;
+};
+
+Search.prototype.searchBody = function (searchString) {
+  if (searchString.length < 3) {
+    return [];
+  }
+  let needle = searchString.toLowerCase();
+  let results = [];
+  let index = this.getBodyIndex();
+
+  for (let i = 0; i < index.length && results.length < 50; i++) {
+    let item = index[i];
+    if (item.$block.nodeName === 'LI' && isStepOmitted(item.$block)) {
+      continue;
+    }
+    let position = item.lowerText.indexOf(needle);
+    if (position === -1) {
+      continue;
+    }
+    let entry = this.biblio.byId[item.clauseId];
+    if (!entry) {
+      continue;
+    }
+    results.push({ key: item.text, entry, body: { index: i, position, length: needle.length } });
+  }
+
+  return results;
+};
+
+// Algorithm steps and prose paragraphs, each with its own normalized text and containing clause.
+function getTextBlocks($root) {
+  let blocks = [];
+  $root.querySelectorAll('emu-alg li, p').forEach($block => {
+    if ($block.nodeName === 'P' && $block.closest('emu-alg')) {
+      return;
+    }
+    // the race explorer's help and results sit inside a clause but aren't spec text
+    if ($block.closest('.race-explorer')) {
+      return;
+    }
+    let $clause = findContainer($block);
+    if (!$clause || !$clause.id) {
+      return;
+    }
+    let text = getOwnText($block).replace(/\s+/g, ' ').trim();
+    if (text !== '') {
+      blocks.push({ $block, $clause, text });
+    }
+  });
+  return blocks;
+}
+
+function getOwnText($el) {
+  let text = '';
+  for (let child of $el.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.textContent;
+    } else if (
+      child.nodeType === Node.ELEMENT_NODE &&
+      child.nodeName !== 'OL' &&
+      child.getAttribute('aria-hidden') !== 'true'
+    ) {
+      text += getOwnText(child);
+    }
+  }
+  return text;
+}
+
+function makeSnippet(text, position, length) {
+  let start = Math.max(0, position - 30);
+  let end = Math.min(text.length, position + length + 30);
+  return (
+    (start > 0 ? '…' : '') +
+    escapeHTML(text.slice(start, position)) +
+    '<mark>' +
+    escapeHTML(text.slice(position, position + length)) +
+    '</mark>' +
+    escapeHTML(text.slice(position + length, end)) +
+    (end < text.length ? '…' : '')
+  );
+}
+
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
 Search.prototype.hideSearch = function () {
   this.$search.classList.remove('active');
 };
@@ -248,14 +496,85 @@ Search.prototype.showSearch = function () {
   this.$search.classList.add('active');
 };
 
-Search.prototype.selectResult = function () {
-  let $first = this.$searchResults.querySelector('li:first-child a');
+Search.prototype.getResultItems = function () {
+  return this.$searchResults.querySelectorAll('li[role=option]');
+};
+
+Search.prototype.selectIndex = function (index) {
+  let $items = this.getResultItems();
+  let $current = $items[this.selected];
+  if ($current) {
+    $current.classList.remove('selected');
+    $current.setAttribute('aria-selected', 'false');
+  }
+  this.selected = index;
+  let $item = $items[index];
+  if ($item == null) {
+    this.$searchBox.removeAttribute('aria-activedescendant');
+    this.showPreview(null);
+    return;
+  }
+  $item.classList.add('selected');
+  $item.setAttribute('aria-selected', 'true');
+  $item.scrollIntoView({ block: 'nearest' });
+  this.$searchBox.setAttribute('aria-activedescendant', $item.id);
+  this.showPreview($item.dataset.id);
+};
+
+// The signature and first steps of the selected result's clause, shown beneath the results.
+Search.prototype.showPreview = function (id) {
+  this.$searchPreview.textContent = '';
+  let $content = id == null ? null : buildPreviewContent(id, this.biblio);
+  if ($content == null) {
+    this.$searchPreview.classList.remove('active');
+    return;
+  }
+  let $alg = $content.querySelector('emu-alg');
+  [...$content.children].forEach($child => {
+    if ($child !== $alg && $child.nodeName !== 'DIV') {
+      $child.remove();
+    }
+  });
+  if ($alg) {
+    let $steps = [...$alg.querySelector('ol').children].filter(
+      $li => !$li.classList.contains('diff-deleted-step')
+    );
+    $steps.forEach(($li, i) => {
+      if (i >= 3) {
+        $li.remove();
+      } else if ($li.querySelector('ol')) {
+        $li.querySelector('ol').remove();
+      }
+    });
+    if ($steps.length > 3) {
+      $alg.appendChild(document.createTextNode('…'));
+    }
+  }
+  this.$searchPreview.appendChild($content);
+  this.$searchPreview.classList.add('active');
+};
+
+Search.prototype.peekResult = function () {
+  let $item = this.getResultItems()[this.selected];
+  if ($item) {
+    peekPane.open($item.dataset.id);
+  }
+};
+
+Search.prototype.selectResult = function ($link) {
+  if ($link == null) {
+    let $item = this.getResultItems()[this.selected];
+    $link = $item && $item.querySelector('a');
+  }
 
-  if ($first) {
-    document.location = $first.getAttribute('href');
+  if ($link && $link.hasAttribute('data-body-hit')) {
+    this.navigateToBodyHit(this.getBodyIndex()[$link.getAttribute('data-body-hit')]);
+  } else if ($link) {
+    document.location = $link.getAttribute('href');
   }
 
   this.$searchBox.value = '';
+  this.searchString = '';
   this.$searchBox.blur();
   this.displayResults([]);
   this.hideSearch();
@@ -265,51 +584,78 @@ Search.prototype.selectResult = function () {
   }
 };
 
+Search.prototype.navigateToBodyHit = function (item) {
+  if (this.$bodyHit) {
+    this.$bodyHit.classList.remove('search-body-hit');
+  }
+  history.pushState(null, '', '#' + item.clauseId);
+  jumpHistory.record();
+  item.$block.scrollIntoView({ block: 'center' });
+  item.$block.classList.add('search-body-hit');
+  this.$bodyHit = item.$block;
+};
+
 Search.prototype.displayResults = function (results) {
   if (results.length > 0) {
     this.$searchResults.classList.remove('no-results');
 
-    let html = '<ul>';
+    let html = '<ul role="listbox" id="menu-search-listbox" aria-label="Search results">';
 
-    results.forEach(result => {
+    results.forEach((result, index) => {
       let key = result.key;
       let entry = result.entry;
       let id = entry.id;
       let cssClass = '';
       let text = '';
 
+      if (result.body) {
+        let item = this.getBodyIndex()[result.body.index];
+        let number = entry.number ? entry.number + ' ' : '';
+        let step = item.$block.nodeName === 'LI' ? 'step ' + getStepNumber(item.$block) + ': ' : '';
+        let snippet = makeSnippet(item.text, result.body.position, result.body.length);
+        // prettier-ignore
+        html += `<li class=menu-search-result-text role=option id="menu-search-result-${index}" aria-selected=false data-id="${id}"><a href="${makeLinkToId(id)}" data-body-hit="${result.body.index}" tabindex=-1>${number}${step}${snippet}</a></li>`;
+        return;
+      }
+
+      let keyHTML = result.match ? highlightMatch(key, result.match.positions) : escapeHTML(key);
+
       if (entry.type === 'clause') {
         let number = entry.number ? entry.number + ' ' : '';
-        text = number + key;
+        text = number + keyHTML;
         cssClass = 'clause';
         id = entry.id;
       } else if (entry.type === 'production') {
-        text = key;
+        text = keyHTML;
         cssClass = 'prod';
         id = entry.id;
       } else if (entry.type === 'op') {
-        text = key;
+        text = keyHTML;
         cssClass = 'op';
         id = entry.id || entry.refId;
       } else if (entry.type === 'term') {
-        text = key;
+        text = keyHTML;
         cssClass = 'term';
         id = entry.id || entry.refId;
       }
 
       if (text) {
         // prettier-ignore
-        html += `<li class=menu-search-result-${cssClass}><a href="${makeLinkToId(id)}">${text}</a></li>`;
+        html += `<li class=menu-search-result-${cssClass} role=option id="menu-search-result-${index}" aria-selected=false data-id="${id}"><a href="${makeLinkToId(id)}" tabindex=-1>${text}</a></li>`;
       }
     });
 
     html += '</ul>';
 
     this.$searchResults.innerHTML = html;
+    this.$searchBox.setAttribute('aria-expanded', 'true');
   } else {
     this.$searchResults.innerHTML = '';
     this.$searchResults.classList.add('no-results');
+    this.$searchBox.setAttribute('aria-expanded', 'false');
   }
+  this.selected = 0;
+  this.selectIndex(0);
 };
 
 function getKey(item) {
@@ -337,6 +683,80 @@ function getKey(item) {
   }
 }
 
+// Persisted viewer state is namespaced by spec, since one origin may host several specs. Snapshots
+// of the same spec share a title, and so share their state.
+function getStorageKey(key) {
+  let spec = document.title || location.pathname.replace(/(\/multipage)?\/[^/]*$/, '/');
+  return 'ecmarkup:' + spec + ':' + key;
+}
+
+function getStored(storage, key) {
+  try {
+    if (!window[storage]) return null;
+  } catch (e) {
+    return null;
+  }
+
+  return window[storage].getItem(getStorageKey(key));
+}
+
+function setStored(storage, key, value) {
+  try {
+    if (!window[storage]) return;
+  } catch (e) {
+    return;
+  }
+
+  window[storage].setItem(getStorageKey(key), value);
+}
+
+function removeStored(storage, key) {
+  try {
+    if (!window[storage]) return;
+  } catch (e) {
+    return;
+  }
+
+  window[storage].removeItem(getStorageKey(key));
+}
+
+// Copies state persisted before it was namespaced. Legacy local data is left in place so that
+// every spec on the origin can pick up its own pins from it.
+function migrateLegacyStorage() {
+  try {
+    if (!window.localStorage || !window.sessionStorage) return;
+  } catch (e) {
+    return;
+  }
+
+  if (getStored('localStorage', 'pinCollections') == null) {
+    if (localStorage.pinCollections != null) {
+      setStored('localStorage', 'pinCollections', localStorage.pinCollections);
+    } else if (localStorage.pinEntries != null) {
+      let ids;
+      try {
+        ids = JSON.parse(localStorage.pinEntries);
+      } catch (e) {
+        ids = null;
+      }
+      let pins = Array.isArray(ids) ? ids.map(id => ({ id, note: '' })) : [];
+      let stored = { active: 'Default', collections: { Default: pins } };
+      setStored('localStorage', 'pinCollections', JSON.stringify(stored));
+    }
+  }
+  if (getStored('localStorage', 'diffMode') == null && localStorage.diffMode != null) {
+    setStored('localStorage', 'diffMode', localStorage.diffMode);
+  }
+  ['referencePaneState', 'activeTocPaths', 'searchValue', 'tocScroll', 'peekPaneState'].forEach(
+    key => {
+      if (sessionStorage[key] != null) {
+        setStored('sessionStorage', key, sessionStorage[key]);
+        delete sessionStorage[key];
+      }
+    }
+  );
+}
+
 function Menu() {
   this.$toggle = document.getElementById('menu-toggle');
   this.$menu = document.getElementById('menu');
@@ -350,12 +770,17 @@ function Menu() {
   this._pinnedIds = {};
   this.loadPinEntries();
 
+  // keep pins in sync with other tabs showing this spec
+  window.addEventListener('storage', e => {
+    if (e.key === getStorageKey('pinCollections') && e.newValue != null) {
+      this.applyStoredPinCollections(parseStoredPinCollections(e.newValue), false);
+      this.renderPins();
+    }
+  });
+
   // toggle menu
   this.$toggle.addEventListener('click', this.toggle.bind(this));
 
-  // keydown events for pinned clauses
-  document.addEventListener('keydown', this.documentKeydown.bind(this));
-
   // toc expansion
   let tocItems = this.$menu.querySelectorAll('#menu-toc li');
   for (let i = 0; i < tocItems.length; i++) {
@@ -395,15 +820,6 @@ function Menu() {
   });
 }
 
-Menu.prototype.documentKeydown = function (e) {
-  e.stopPropagation();
-  if (e.keyCode === 80) {
-    this.togglePinEntry();
-  } else if (e.keyCode > 48 && e.keyCode < 58) {
-    this.selectPin(e.keyCode - 49);
-  }
-};
-
 Menu.prototype.updateActiveClause = function () {
   this.setActiveClause(findActiveClause(this.$specContainer));
 };
@@ -411,6 +827,7 @@ Menu.prototype.updateActiveClause = function () {
 Menu.prototype.setActiveClause = function (clause) {
   this.$activeClause = clause;
   this.revealInToc(this.$activeClause);
+  breadcrumbs.update(this.$activeClause);
 };
 
 Menu.prototype.revealInToc = function (path) {
@@ -510,69 +927,328 @@ Menu.prototype.hidePins = function () {
   this.$pins.classList.remove('active');
 };
 
-Menu.prototype.addPinEntry = function (id) {
-  let entry = this.search.biblio.byId[id];
-  if (!entry) {
-    // id was deleted after pin (or something) so remove it
-    delete this._pinnedIds[id];
+// Pins are kept in named collections of { id, note } records. A collection shared through the
+// `pins` URL parameter is read-only and never persisted.
+Menu.prototype.initPinControls = function () {
+  let $controls = document.createElement('div');
+  $controls.setAttribute('id', 'menu-pins-controls');
+  this.$pinCollection = document.createElement('select');
+  this.$pinCollection.addEventListener('change', () => {
+    this._activePinCollection = this.$pinCollection.value;
     this.persistPinEntries();
-    return;
+    this.renderPins();
+  });
+  $controls.appendChild(this.$pinCollection);
+
+  let addControl = (text, title, onClick) => {
+    let $control = document.createElement('a');
+    $control.setAttribute('href', '#');
+    $control.setAttribute('title', title);
+    $control.textContent = text;
+    $control.addEventListener('click', e => {
+      e.preventDefault();
+      onClick();
+    });
+    $controls.appendChild($control);
+  };
+  addControl('new', 'Create a pin collection', () => {
+    let name = prompt('Name of the new pin collection');
+    if (name && !this._pinCollections[name]) {
+      this._pinCollections[name] = { pins: [] };
+      this._activePinCollection = name;
+      this.persistPinEntries();
+      this.renderPins();
+    }
+  });
+  addControl('delete', 'Delete this pin collection', () => {
+    let name = this._activePinCollection;
+    if (Object.keys(this._pinCollections).length > 1 && confirm(`Delete "${name}"?`)) {
+      delete this._pinCollections[name];
+      this._activePinCollection = Object.keys(this._pinCollections)[0];
+      this.persistPinEntries();
+      this.renderPins();
+    }
+  });
+  addControl('export', 'Download this collection as JSON', () => {
+    let $download = document.createElement('a');
+    let blob = new Blob([JSON.stringify(this.exportPinCollection(), null, 2)], {
+      type: 'application/json',
+    });
+    $download.href = URL.createObjectURL(blob);
+    $download.download = this._activePinCollection + '.json';
+    $download.click();
+    URL.revokeObjectURL($download.href);
+  });
+  addControl('import', 'Load a collection from JSON', () => {
+    this.$pinImport.click();
+  });
+  addControl('share', 'Copy a link that opens this collection read-only', () => {
+    let url = new URL(location.href);
+    url.searchParams.set('pins', JSON.stringify(this.exportPinCollection()));
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url.href).catch(() => {});
+    }
+    prompt('Link to this pin collection', url.href);
+  });
+
+  this.$pinImport = document.createElement('input');
+  this.$pinImport.setAttribute('type', 'file');
+  this.$pinImport.setAttribute('accept', '.json,application/json');
+  this.$pinImport.style.display = 'none';
+  this.$pinImport.addEventListener('change', () => {
+    let file = this.$pinImport.files[0];
+    if (file == null) {
+      return;
+    }
+    file.text().then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        data = null;
+      }
+      this.importPinCollection(data, false);
+    });
+    this.$pinImport.value = '';
+  });
+  $controls.appendChild(this.$pinImport);
+
+  this.$pins.insertBefore($controls, this.$pinList);
+
+  this.$pinError = document.createElement('div');
+  this.$pinError.setAttribute('id', 'menu-pins-error');
+  this.$pinError.setAttribute('role', 'alert');
+  this.$pins.insertBefore(this.$pinError, this.$pinList);
+
+  this.$pinList.addEventListener('dragstart', e => {
+    let $item = e.target.closest('li');
+    this._draggedPinIndex = [].indexOf.call(this.$pinList.children, $item);
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  this.$pinList.addEventListener('dragover', e => {
+    if (this._draggedPinIndex != null) {
+      e.preventDefault();
+    }
+  });
+  this.$pinList.addEventListener('drop', e => {
+    e.preventDefault();
+    let $item = e.target.closest('li');
+    let to = $item ? [].indexOf.call(this.$pinList.children, $item) : this.$pinList.children.length;
+    this.movePinEntry(this._draggedPinIndex, to);
+    this._draggedPinIndex = null;
+  });
+  this.$pinList.addEventListener('dragend', () => {
+    this._draggedPinIndex = null;
+  });
+};
+
+Menu.prototype.getPinCollection = function () {
+  return this._pinCollections[this._activePinCollection];
+};
+
+Menu.prototype.exportPinCollection = function () {
+  return { name: this._activePinCollection, pins: this.getPinCollection().pins };
+};
+
+// Returns whether `data` was a pin collection; if not, says so above the pins.
+Menu.prototype.importPinCollection = function (data, readOnly) {
+  if (data == null || !Array.isArray(data.pins)) {
+    this.$pinError.textContent = 'Could not import pins: this is not an exported pin collection.';
+    return false;
+  }
+  this.$pinError.textContent = '';
+  let name = (readOnly ? 'shared: ' : '') + (data.name || 'Imported');
+  let unique = name;
+  for (let i = 2; this._pinCollections[unique]; i++) {
+    unique = `${name} (${i})`;
   }
+  let pins = data.pins
+    .filter(pin => pin && typeof pin.id === 'string')
+    .map(pin => ({ id: pin.id, note: String(pin.note || '') }));
+  this._pinCollections[unique] = { pins, readOnly };
+  this._activePinCollection = unique;
+  this.persistPinEntries();
+  this.renderPins();
+  return true;
+};
+
+Menu.prototype.renderPins = function () {
+  let collection = this.getPinCollection();
+  let names = Object.keys(this._pinCollections);
+  this.$pinCollection.innerHTML = '';
+  names.forEach(name => {
+    this.$pinCollection.add(new Option(name, name, false, name === this._activePinCollection));
+  });
 
-  if (entry.type === 'clause') {
-    let prefix;
-    if (entry.number) {
-      prefix = entry.number + ' ';
+  // ids deleted since they were pinned are dropped
+  let pins = collection.pins.filter(pin => this.search.biblio.byId[pin.id]);
+  if (pins.length !== collection.pins.length && !collection.readOnly) {
+    collection.pins = pins;
+    this.persistPinEntries();
+  }
+
+  this._pinnedIds = {};
+  this.$pinList.innerHTML = '';
+  pins.forEach(pin => {
+    this._pinnedIds[pin.id] = true;
+    let entry = this.search.biblio.byId[pin.id];
+    let $item = document.createElement('li');
+    if (entry.type === 'clause') {
+      let prefix;
+      if (entry.number) {
+        prefix = entry.number + ' ';
+      } else {
+        prefix = '';
+      }
+      // prettier-ignore
+      $item.innerHTML = `<a href="${makeLinkToId(entry.id)}">${prefix}${entry.titleHTML}</a>`;
     } else {
-      prefix = '';
+      $item.innerHTML = `<a href="${makeLinkToId(entry.id)}">${getKey(entry)}</a>`;
     }
-    // prettier-ignore
-    this.$pinList.innerHTML += `<li><a href="${makeLinkToId(entry.id)}">${prefix}${entry.titleHTML}</a></li>`;
+    if (!collection.readOnly) {
+      $item.setAttribute('draggable', 'true');
+      let $edit = document.createElement('span');
+      $edit.classList.add('menu-pin-edit-note');
+      $edit.setAttribute('title', 'Edit note');
+      $edit.addEventListener('click', () => {
+        let note = prompt('Note for this pin', pin.note);
+        if (note != null) {
+          pin.note = note;
+          this.persistPinEntries();
+          this.renderPins();
+        }
+      });
+      $item.appendChild($edit);
+    }
+    if (pin.note) {
+      let $note = document.createElement('div');
+      $note.classList.add('menu-pin-note');
+      $note.textContent = pin.note;
+      $item.appendChild($note);
+    }
+    this.$pinList.appendChild($item);
+  });
+
+  this.$pins.classList.toggle('read-only', !!collection.readOnly);
+  if (pins.length > 0 || names.length > 1) {
+    this.showPins();
   } else {
-    this.$pinList.innerHTML += `<li><a href="${makeLinkToId(entry.id)}">${getKey(entry)}</a></li>`;
+    this.hidePins();
   }
+};
 
-  if (Object.keys(this._pinnedIds).length === 0) {
-    this.showPins();
+Menu.prototype.addPinEntry = function (id) {
+  let collection = this.getPinCollection();
+  if (!this.search.biblio.byId[id] || collection.readOnly || this._pinnedIds[id]) {
+    return;
   }
-  this._pinnedIds[id] = true;
+  collection.pins.push({ id, note: '' });
   this.persistPinEntries();
+  this.renderPins();
 };
 
 Menu.prototype.removePinEntry = function (id) {
-  let item = this.$pinList.querySelector(`a[href="${makeLinkToId(id)}"]`).parentNode;
-  this.$pinList.removeChild(item);
-  delete this._pinnedIds[id];
-  if (Object.keys(this._pinnedIds).length === 0) {
-    this.hidePins();
+  let collection = this.getPinCollection();
+  if (collection.readOnly) {
+    return;
   }
+  collection.pins = collection.pins.filter(pin => pin.id !== id);
+  this.persistPinEntries();
+  this.renderPins();
+};
 
+Menu.prototype.movePinEntry = function (from, to) {
+  let collection = this.getPinCollection();
+  if (collection.readOnly || from == null || from === to) {
+    return;
+  }
+  let [pin] = collection.pins.splice(from, 1);
+  collection.pins.splice(to, 0, pin);
   this.persistPinEntries();
+  this.renderPins();
 };
 
 Menu.prototype.persistPinEntries = function () {
+  let collections = {};
+  Object.keys(this._pinCollections).forEach(name => {
+    if (!this._pinCollections[name].readOnly) {
+      collections[name] = this._pinCollections[name].pins;
+    }
+  });
+  let active = this._activePinCollection;
+  if (!collections[active]) {
+    active = Object.keys(collections)[0];
+  }
+  setStored('localStorage', 'pinCollections', JSON.stringify({ active, collections }));
+};
+
+// Replaces the persisted collections, keeping shared read-only ones. Unless `useStoredActive`,
+// the active collection stays the same if it still exists.
+// Stored pin collections, or null when the stored value is corrupt or was written by something
+// else, in which case the pins start out empty.
+function parseStoredPinCollections(json) {
+  let stored;
   try {
-    if (!window.localStorage) return;
+    stored = JSON.parse(json);
   } catch (e) {
-    return;
+    return null;
   }
+  if (
+    stored == null ||
+    typeof stored.collections !== 'object' ||
+    stored.collections == null ||
+    !Object.values(stored.collections).every(Array.isArray)
+  ) {
+    return null;
+  }
+  return stored;
+}
 
-  localStorage.pinEntries = JSON.stringify(Object.keys(this._pinnedIds));
+Menu.prototype.applyStoredPinCollections = function (stored, useStoredActive) {
+  if (stored == null || Object.keys(stored.collections).length === 0) {
+    return;
+  }
+  let active = this._activePinCollection;
+  Object.keys(this._pinCollections).forEach(name => {
+    if (!this._pinCollections[name].readOnly) {
+      delete this._pinCollections[name];
+    }
+  });
+  Object.keys(stored.collections).forEach(name => {
+    this._pinCollections[name] = { pins: stored.collections[name] };
+  });
+  if (useStoredActive || !this._pinCollections[active]) {
+    active = this._pinCollections[stored.active]
+      ? stored.active
+      : Object.keys(stored.collections)[0];
+  }
+  this._activePinCollection = active;
 };
 
 Menu.prototype.loadPinEntries = function () {
-  try {
-    if (!window.localStorage) return;
-  } catch (e) {
-    return;
+  this._pinCollections = { Default: { pins: [] } };
+  this._activePinCollection = 'Default';
+  this.initPinControls();
+
+  let stored = getStored('localStorage', 'pinCollections');
+  if (stored != null) {
+    this.applyStoredPinCollections(parseStoredPinCollections(stored), true);
   }
 
-  let pinsString = window.localStorage.pinEntries;
-  if (!pinsString) return;
-  let pins = JSON.parse(pinsString);
-  for (let i = 0; i < pins.length; i++) {
-    this.addPinEntry(pins[i]);
+  let shared = new URLSearchParams(location.search).get('pins');
+  if (shared) {
+    let data;
+    try {
+      data = JSON.parse(shared);
+    } catch (e) {
+      data = null;
+    }
+    if (this.importPinCollection(data, true)) {
+      return;
+    }
   }
+  this.persistPinEntries();
+  this.renderPins();
 };
 
 Menu.prototype.togglePinEntry = function (id) {
@@ -588,6 +1264,9 @@ Menu.prototype.togglePinEntry = function (id) {
 };
 
 Menu.prototype.selectPin = function (num) {
+  if (num >= this.$pinList.children.length) {
+    return;
+  }
   document.location = this.$pinList.children[num].children[0].href;
 };
 
@@ -667,81 +1346,94 @@ function toggleFindLocalReferences($elem) {
   }
 }
 
-function installFindLocalReferences() {
-  document.addEventListener('click', e => {
-    if (e.target.nodeName === 'VAR') {
-      toggleFindLocalReferences(e.target);
+// Classifies each use of a variable in its clause's algorithm steps as a binding ("Let _x_ be",
+// "For each … _x_ of", or a parameter in the signature), a reassignment ("Set _x_ to"), or a read.
+function analyzeDefUse(parentClause, name) {
+  let occurrences = [];
+  findLocalReferences(parentClause, name).forEach($var => {
+    if (findContainer($var) !== parentClause) {
+      return;
     }
-  });
-}
-
-document.addEventListener('DOMContentLoaded', installFindLocalReferences);
-
-// The following license applies to the fuzzysearch function
-// The MIT License (MIT)
-// Copyright © 2015 Nicolas Bevacqua
-// Copyright © 2016 Brian Terlson
-// Permission is hereby granted, free of charge, to any person obtaining a copy of
-// this software and associated documentation files (the "Software"), to deal in
-// the Software without restriction, including without limitation the rights to
-// use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
-// the Software, and to permit persons to whom the Software is furnished to do so,
-// subject to the following conditions:
-
-// The above copyright notice and this permission notice shall be included in all
-// copies or substantial portions of the Software.
-
-// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
-// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
-// FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
-// COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
-// IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
-// CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
-function fuzzysearch(searchString, haystack, caseInsensitive) {
-  let tlen = haystack.length;
-  let qlen = searchString.length;
-  let chunks = 1;
-  let finding = false;
-
-  if (qlen > tlen) {
-    return false;
-  }
-
-  if (qlen === tlen) {
-    if (searchString === haystack) {
-      return { caseMatch: true, chunks: 1, prefix: true };
-    } else if (searchString.toLowerCase() === haystack.toLowerCase()) {
-      return { caseMatch: false, chunks: 1, prefix: true };
-    } else {
-      return false;
+    if ($var.closest('h1')) {
+      occurrences.push({ $var, kind: 'parameter', step: null });
+      return;
     }
-  }
-
-  let j = 0;
-  outer: for (let i = 0; i < qlen; i++) {
-    let nch = searchString[i];
-    while (j < tlen) {
-      let targetChar = haystack[j++];
-      if (targetChar === nch) {
-        finding = true;
-        continue outer;
-      }
-      if (finding) {
-        chunks++;
-        finding = false;
+    let $step = $var.closest('emu-alg li');
+    let $paragraph = $var.closest('p');
+    if ($step == null && $paragraph != null) {
+      // "The abstract operation TypedArraySortCompare takes arguments x and y."
+      if (/\btakes (?:optional )?arguments?\b[^.]*$/.test(splitOwnText($paragraph, $var)[0])) {
+        occurrences.push({ $var, kind: 'parameter', step: null });
       }
+      return;
     }
-
-    if (caseInsensitive) {
-      return false;
+    if ($step == null) {
+      return;
     }
+    let [before, after] = splitOwnText($step, $var).map(text => text.replace(/\s+/g, ' '));
+    before = before.trim();
+    let kind = 'read';
+    if (/(?:^|\W)[Ll]et(?: \S+(?:,| and))*$/.test(before) && /^(?: be\b|,| and\b)/.test(after)) {
+      kind = 'bind';
+    } else if (/\bwith parameters \((?: ?\S+,)*$/.test(before) && /^(?:,|\))/.test(after)) {
+      // the parameters of an Abstract Closure
+      kind = 'bind';
+    } else if (
+      /(?:^|\W)For each(?: \w+)*$/.test(before) &&
+      /^ (?:of|from|such that|starting with)\b/.test(after)
+    ) {
+      kind = 'bind';
+    } else if (/(?:^|\W)[Ss]et$/.test(before) && /^ to\b/.test(after)) {
+      kind = 'set';
+    }
+    occurrences.push({ $var, kind, step: getStepNumber($step) });
+  });
 
-    return fuzzysearch(searchString.toLowerCase(), haystack.toLowerCase(), true);
-  }
+  let firstBinding = occurrences.findIndex(o => o.kind === 'parameter' || o.kind === 'bind');
+  let firstRead = occurrences.findIndex(o => o.kind === 'read' || o.kind === 'set');
+  return {
+    occurrences,
+    unused: firstBinding !== -1 && !occurrences.some(o => o.kind === 'read'),
+    usedBeforeBinding: firstRead !== -1 && (firstBinding === -1 || firstRead < firstBinding),
+  };
+}
+
+// The own text of `$block` (ignoring substeps) before and after `$target`.
+function splitOwnText($block, $target) {
+  let parts = ['', ''];
+  let seen = false;
+  (function walk($el) {
+    for (let child of $el.childNodes) {
+      if (child === $target) {
+        seen = true;
+      } else if (child.nodeType === Node.TEXT_NODE) {
+        parts[seen ? 1 : 0] += child.textContent;
+      } else if (
+        child.nodeType === Node.ELEMENT_NODE &&
+        child.nodeName !== 'OL' &&
+        child.getAttribute('aria-hidden') !== 'true'
+      ) {
+        walk(child);
+      }
+    }
+  })($block);
+  return parts;
+}
 
-  return { caseMatch: !caseInsensitive, chunks, prefix: j <= qlen };
+function installFindLocalReferences() {
+  document.addEventListener('click', e => {
+    if (e.target.nodeName === 'VAR') {
+      toggleFindLocalReferences(e.target);
+      let parentClause = findContainer(e.target);
+      if (e.target.classList.contains('referenced') && parentClause && parentClause.id) {
+        referencePane.showDefUse(parentClause, e.target.innerHTML);
+      }
+    }
+  });
 }
 
+document.addEventListener('DOMContentLoaded', installFindLocalReferences);
+
 let referencePane = {
   init() {
     this.$container = document.createElement('div');
@@ -763,6 +1455,9 @@ let referencePane = {
     this.$header.appendChild(this.$headerText);
     this.$headerRefId = document.createElement('a');
     this.$header.appendChild(this.$headerRefId);
+    this.$headerControls = document.createElement('span');
+    this.$headerControls.setAttribute('id', 'references-pane-controls');
+    this.$header.appendChild(this.$headerControls);
     this.$closeButton = document.createElement('span');
     this.$closeButton.setAttribute('id', 'references-pane-close');
     this.$closeButton.addEventListener('click', () => {
@@ -787,6 +1482,19 @@ let referencePane = {
 
   activate() {
     this.$container.classList.add('active');
+    this.$headerControls.textContent = '';
+  },
+
+  addHeaderControl(text, onClick) {
+    let $control = document.createElement('a');
+    $control.setAttribute('href', '#');
+    $control.textContent = text;
+    $control.addEventListener('click', e => {
+      e.preventDefault();
+      onClick();
+    });
+    this.$headerControls.appendChild($control);
+    return $control;
   },
 
   deactivate() {
@@ -805,6 +1513,9 @@ let referencePane = {
     this.$headerRefId.textContent = '#' + entry.id;
     this.$headerRefId.setAttribute('href', makeLinkToId(entry.id));
     this.$headerRefId.style.display = 'inline';
+    this.addHeaderControl('call tree', () => {
+      this.showCallTree(entry, 'callers', 2);
+    });
     (entry.referencingIds || [])
       .map(id => {
         let cid = menu.search.biblio.refParentClause[id];
@@ -835,6 +1546,352 @@ let referencePane = {
     this.$table.appendChild(this.$tableBody);
   },
 
+  showCallTree(entry, direction, depth) {
+    this.activate();
+    let id = entry.refId || entry.id;
+    this.state = { type: 'calls', id, direction, depth };
+    this.$headerText.textContent = direction === 'callers' ? 'Callers of ' : 'Callees of ';
+    this.$headerRefId.textContent = '#' + id;
+    this.$headerRefId.setAttribute('href', makeLinkToId(id));
+    this.$headerRefId.style.display = 'inline';
+
+    this.addHeaderControl(direction === 'callers' ? 'show callees' : 'show callers', () => {
+      this.showCallTree(entry, direction === 'callers' ? 'callees' : 'callers', depth);
+    });
+    let $depth = document.createElement('select');
+    for (let i = 1; i <= 6; i++) {
+      $depth.add(new Option('depth ' + i, i, false, i === depth));
+    }
+    $depth.addEventListener('change', () => {
+      this.showCallTree(entry, direction, Number($depth.value));
+    });
+    this.$headerControls.appendChild($depth);
+    this.addHeaderControl('references', () => {
+      this.showReferencesFor(menu.search.biblio.byId[id]);
+    });
+
+    let newBody = document.createElement('tbody');
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+    this.expandCallTreeNode(null, [id], direction, depth);
+  },
+
+  // Inserts the rows for the callers or callees of the last id on `path`, after `$parentRow`.
+  expandCallTreeNode($parentRow, path, direction, depth) {
+    let biblio = menu.search.biblio;
+    let ids = getCallTreeChildren(path[path.length - 1], direction)
+      .map(id => biblio.byId[id])
+      .filter(clause => clause != null)
+      .sort(sortByClauseNumber);
+    let $next = $parentRow ? $parentRow.nextSibling : null;
+    ids.forEach(clause => {
+      let row = document.createElement('tr');
+      this.$tableBody.insertBefore(row, $next);
+      let level = path.length - 1;
+      let cycle = path.indexOf(clause.id) !== -1;
+      let cell = row.insertCell();
+      cell.innerHTML = clause.number;
+      cell = row.insertCell();
+      cell.style.paddingLeft = level * 1.5 + 'em';
+      row.setAttribute('data-level', level);
+
+      let $toggle = document.createElement('span');
+      $toggle.classList.add('call-tree-toggle');
+      cell.appendChild($toggle);
+      let $link = document.createElement('a');
+      $link.setAttribute('href', makeLinkToId(clause.id));
+      $link.innerHTML = clause.titleHTML;
+      cell.appendChild($link);
+
+      let childPath = path.concat(clause.id);
+      if (cycle) {
+        cell.appendChild(document.createTextNode(' (cycle)'));
+      } else if (getCallTreeChildren(clause.id, direction).length > 0) {
+        $toggle.textContent = '▸';
+        $toggle.addEventListener('click', () => {
+          if ($toggle.textContent === '▾') {
+            $toggle.textContent = '▸';
+            this.collapseCallTreeNode(row);
+          } else {
+            $toggle.textContent = '▾';
+            this.expandCallTreeNode(row, childPath, direction, 1);
+          }
+        });
+        if (depth > 1) {
+          $toggle.textContent = '▾';
+          this.expandCallTreeNode(row, childPath, direction, depth - 1);
+        }
+      }
+    });
+  },
+
+  collapseCallTreeNode($row) {
+    let level = Number($row.getAttribute('data-level'));
+    while ($row.nextSibling && Number($row.nextSibling.getAttribute('data-level')) > level) {
+      $row.nextSibling.remove();
+    }
+  },
+
+  showImpactFor(entry) {
+    this.activate();
+    this.state = { type: 'impact', id: entry.id };
+    this.$headerText.textContent = 'Built-ins reaching ';
+    this.$headerRefId.textContent = '#' + entry.id;
+    this.$headerRefId.setAttribute('href', makeLinkToId(entry.id));
+    this.$headerRefId.style.display = 'inline';
+    let newBody = document.createElement('tbody');
+    getImpactedBuiltins(entry.id).forEach(({ group, clauses }) => {
+      let row = newBody.insertRow();
+      row.classList.add('references-pane-group');
+      row.insertCell();
+      row.insertCell().textContent = group;
+      clauses.forEach(clause => {
+        row = newBody.insertRow();
+        let cell = row.insertCell();
+        cell.innerHTML = clause.number;
+        cell = row.insertCell();
+        cell.innerHTML = `<a href="${makeLinkToId(clause.id)}">${clause.titleHTML}</a>`;
+      });
+    });
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+  },
+
+  showDefUse(parentClause, name) {
+    this.activate();
+    this.state = { type: 'defuse', id: parentClause.id, name };
+    let analysis = analyzeDefUse(parentClause, name);
+    let $first = analysis.occurrences.length > 0 ? analysis.occurrences[0].$var : null;
+    let highlight = $first ? REFERENCED_CLASSES.find(c => $first.classList.contains(c)) : null;
+    this.$headerText.innerHTML = `Uses of <var class="${highlight || ''}">${name}</var> in `;
+    this.$headerRefId.textContent = '#' + parentClause.id;
+    this.$headerRefId.setAttribute('href', makeLinkToId(parentClause.id));
+    this.$headerRefId.style.display = 'inline';
+
+    let newBody = document.createElement('tbody');
+    let warnings = [];
+    if (analysis.unused) {
+      warnings.push('bound but never read');
+    }
+    if (analysis.usedBeforeBinding) {
+      warnings.push('used before it is bound');
+    }
+    warnings.forEach(warning => {
+      let row = newBody.insertRow();
+      row.classList.add('references-pane-warning');
+      row.insertCell().textContent = '⚠';
+      row.insertCell().textContent = warning;
+    });
+    analysis.occurrences.forEach(({ $var, kind, step }) => {
+      let row = newBody.insertRow();
+      row.insertCell().textContent = step || '';
+      let cell = row.insertCell();
+      let $link = document.createElement('a');
+      $link.setAttribute('href', '#');
+      $link.textContent = kind === 'parameter' ? 'parameter' : kind;
+      $link.classList.add('def-use-' + kind);
+      $link.addEventListener('click', e => {
+        e.preventDefault();
+        $var.scrollIntoView({ block: 'center' });
+        flash($var);
+      });
+      cell.appendChild($link);
+      let $step = $var.closest('emu-alg li');
+      if ($step != null) {
+        let text = getOwnText($step).replace(/\s+/g, ' ').trim();
+        cell.appendChild(document.createTextNode(': ' + text));
+      }
+    });
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+  },
+
+  showAnnotations() {
+    this.activate();
+    this.state = { type: 'annotations' };
+    this.$headerText.textContent = 'Notes';
+    this.$headerRefId.style.display = 'none';
+    this.addHeaderControl('export review', () => {
+      annotations.downloadReview();
+    });
+    this.addHeaderControl('import', () => {
+      annotations.$import.click();
+    });
+    let newBody = document.createElement('tbody');
+    if (annotations.importError) {
+      let row = newBody.insertRow();
+      row.classList.add('references-pane-warning');
+      row.insertCell().textContent = '⚠';
+      row.insertCell().textContent = annotations.importError;
+    }
+    annotations.items
+      .map(annotation => ({
+        annotation,
+        clause: menu.search.biblio.byId[annotation.clauseId] || { number: '', titleHTML: '' },
+      }))
+      .sort((a, b) => sortByClauseNumber(a.clause, b.clause))
+      .forEach(({ annotation, clause }) => {
+        let row = newBody.insertRow();
+        row.insertCell().textContent =
+          clause.number + (annotation.step ? ' step ' + annotation.step : '');
+        let cell = row.insertCell();
+        let $link = document.createElement('a');
+        $link.setAttribute('href', annotations.getLink(annotation));
+        $link.textContent = annotation.text;
+        cell.appendChild($link);
+        if (annotation.variable) {
+          cell.appendChild(document.createTextNode(' '));
+          let $var = document.createElement('var');
+          $var.innerHTML = annotation.variable;
+          cell.appendChild($var);
+        }
+      });
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+  },
+
+  showChanges() {
+    this.activate();
+    this.state = { type: 'changes' };
+    this.$headerText.textContent = 'Changes';
+    this.$headerRefId.style.display = 'none';
+    let newBody = document.createElement('tbody');
+    changeNavigator.getChangedClauses().forEach(record => {
+      let $h1 = record.$clause.querySelector('h1').cloneNode(true);
+      let $secnum = $h1.querySelector('.secnum');
+      if ($secnum) {
+        $secnum.remove();
+      }
+      let row = newBody.insertRow();
+      let cell = row.insertCell();
+      cell.innerHTML = $secnum ? $secnum.innerHTML : '';
+      cell = row.insertCell();
+      cell.innerHTML = `<a href="${makeLinkToId(record.$clause.id)}">${$h1.innerHTML}</a>`;
+      cell = row.insertCell();
+      let $counts = document.createElement('a');
+      $counts.setAttribute('href', '#');
+      $counts.classList.add('references-pane-change-counts');
+      $counts.innerHTML = `<ins>+${record.insertions}</ins> <del>−${record.deletions}</del>`;
+      $counts.addEventListener('click', e => {
+        e.preventDefault();
+        changeNavigator.goTo(record.firstIndex);
+      });
+      cell.appendChild($counts);
+    });
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+  },
+
+  showExceptions() {
+    this.activate();
+    this.state = { type: 'exceptions' };
+    this.$headerText.textContent = 'Exceptions thrown by built-ins';
+    this.$headerRefId.style.display = 'none';
+    let newBody = document.createElement('tbody');
+    exceptionMap.getBuiltins().forEach(entry => {
+      let row = newBody.insertRow();
+      row.classList.add('references-pane-group');
+      row.insertCell().innerHTML = entry.number;
+      row.insertCell().innerHTML = `<a href="${makeLinkToId(entry.id)}">${entry.titleHTML}</a>`;
+      exceptionMap.get(entry.id).forEach(exception => {
+        row = newBody.insertRow();
+        let cell = row.insertCell();
+        cell.textContent = exception.type || '?';
+        cell = row.insertCell();
+        exceptionMap.describe(exception, cell);
+        if (exception.type == null) {
+          cell.appendChild(document.createTextNode(` calls ${exception.aoid}`));
+        }
+      });
+    });
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+  },
+
+  showComparison(comparison) {
+    this.activate();
+    this.state = { type: 'compare' };
+    this.$headerText.textContent = 'Compared with ' + comparison.name;
+    this.$headerRefId.style.display = 'none';
+    let newBody = document.createElement('tbody');
+    comparison.records.forEach(record => {
+      let row = newBody.insertRow();
+      let cell = row.insertCell();
+      cell.innerHTML = record.clause.number;
+      cell = row.insertCell();
+      if (record.status === 'removed') {
+        cell.innerHTML = `<del>${record.clause.titleHTML}</del>`;
+      } else {
+        cell.innerHTML = `<a href="${makeLinkToId(record.id)}">${record.clause.titleHTML}</a>`;
+      }
+      cell = row.insertCell();
+      if (record.status === 'changed') {
+        let count = record.steps.filter(step => step.type !== 'same').length;
+        let $details = document.createElement('a');
+        $details.setAttribute('href', '#');
+        $details.textContent = `changed (${count})`;
+        $details.addEventListener('click', e => {
+          e.preventDefault();
+          this.showClauseComparison(comparison, record);
+        });
+        cell.appendChild($details);
+      } else {
+        cell.textContent = record.status;
+      }
+    });
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+  },
+
+  showClauseComparison(comparison, record) {
+    this.$headerText.textContent = `${record.clause.number} compared with ${comparison.name}`;
+    let newBody = document.createElement('tbody');
+    let $back = document.createElement('a');
+    $back.setAttribute('href', '#');
+    $back.textContent = '← all clauses';
+    $back.addEventListener('click', e => {
+      e.preventDefault();
+      this.showComparison(comparison);
+    });
+    let $backRow = newBody.insertRow();
+    $backRow.insertCell();
+    $backRow.insertCell().appendChild($back);
+    record.steps.forEach(step => {
+      if (step.type === 'same') {
+        return;
+      }
+      let row = newBody.insertRow();
+      let cell = row.insertCell();
+      cell.textContent = step.block.step || '';
+      cell = row.insertCell();
+      let $text = document.createElement(step.type);
+      $text.textContent = step.block.text;
+      if (step.type === 'ins') {
+        let $link = document.createElement('a');
+        $link.setAttribute('href', '#');
+        $link.addEventListener('click', e => {
+          e.preventDefault();
+          step.block.$block.scrollIntoView({ block: 'center' });
+          flash(step.block.$block);
+        });
+        $link.appendChild($text);
+        cell.appendChild($link);
+      } else {
+        cell.appendChild($text);
+      }
+    });
+    this.$table.removeChild(this.$tableBody);
+    this.$tableBody = newBody;
+    this.$table.appendChild(this.$tableBody);
+  },
+
   showSDOs(sdos, alternativeId) {
     let rhs = document.getElementById(alternativeId);
     let parentName = rhs.parentNode.getAttribute('name');
@@ -908,9 +1965,30 @@ let Toolbox = {
       e.stopPropagation();
       referencePane.showReferencesFor(this.entry);
     });
+    this.$noteLink = document.createElement('a');
+    this.$noteLink.textContent = 'Note';
+    this.$noteLink.setAttribute('href', '#');
+    this.$noteLink.addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      let target = annotations.getTarget(this._activeEl);
+      if (target != null) {
+        annotations.annotate(target);
+      }
+    });
+
+    this.$impactLink = document.createElement('a');
+    this.$impactLink.setAttribute('href', '#');
+    this.$impactLink.addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      referencePane.showImpactFor(this.entry);
+    });
     this.$container.appendChild(this.$permalink);
     this.$container.appendChild(this.$pinLink);
     this.$container.appendChild(this.$refsLink);
+    this.$container.appendChild(this.$impactLink);
+    this.$container.appendChild(this.$noteLink);
     document.body.appendChild(this.$outer);
   },
 
@@ -926,6 +2004,7 @@ let Toolbox = {
     this.$outer.setAttribute('style', 'left: ' + this.left + 'px; top: ' + this.top + 'px');
     this.updatePermalink();
     this.updateReferences();
+    this.updateImpact();
     this._activeEl = el;
     if (this.top < document.body.scrollTop && el === target) {
       // don't scroll unless it's a small thing (< 200px)
@@ -941,6 +2020,11 @@ let Toolbox = {
     this.$refsLink.textContent = `References (${(this.entry.referencingIds || []).length})`;
   },
 
+  updateImpact() {
+    let count = getImpactedBuiltins(this.entry.id).reduce((sum, g) => sum + g.clauses.length, 0);
+    this.$impactLink.textContent = `Impact (${count})`;
+  },
+
   activateIfMouseOver(e) {
     let ref = this.findReferenceUnder(e.target);
     if (ref && (!this.active || e.pageY > this._activeEl.offsetTop)) {
@@ -1004,89 +2088,4167 @@ let Toolbox = {
   },
 };
 
-function sortByClauseNumber(clause1, clause2) {
-  let c1c = clause1.number.split('.');
-  let c2c = clause2.number.split('.');
+// Popovers previewing the target of a hovered cross-reference. Links inside a popover open a
+// nested popover, so `stack` holds one popover per nesting level.
+let xrefPreview = {
+  init() {
+    this.stack = [];
+    this.hoveredLevel = -1;
+    this.showTimeout = null;
+    this.hideTimeout = null;
+
+    document.addEventListener('pointerover', e => {
+      let $link = findPreviewLink(e.target);
+      if ($link == null) {
+        return;
+      }
+      clearTimeout(this.showTimeout);
+      this.showTimeout = setTimeout(() => {
+        this.show($link);
+      }, 500);
+    });
+    document.addEventListener('pointerout', e => {
+      let $link = findPreviewLink(e.target);
+      if ($link == null || $link.contains(e.relatedTarget)) {
+        return;
+      }
+      clearTimeout(this.showTimeout);
+      this.scheduleHide();
+    });
+    document.addEventListener('keydown', e => {
+      if (keymap.matches('xref-preview-close', e)) {
+        this.hideFrom(0);
+      }
+    });
+  },
 
-  for (let i = 0; i < c1c.length; i++) {
-    if (i >= c2c.length) {
-      return 1;
+  show($link) {
+    let level = this.stack.findIndex($outer => $outer.contains($link)) + 1;
+    let id = $link.hash.slice(1);
+    if (this.stack[level] && this.stack[level].getAttribute('data-id') === id) {
+      this.hideFrom(level + 1);
+      return;
+    }
+    let $content = buildPreviewContent(id, menu.search.biblio);
+    if ($content == null) {
+      return;
     }
+    this.hideFrom(level);
+
+    let $outer = document.createElement('div');
+    $outer.classList.add('xref-preview');
+    $outer.setAttribute('data-id', id);
+    $outer.appendChild($content);
+    $outer.addEventListener('pointerenter', () => {
+      clearTimeout(this.hideTimeout);
+      this.hoveredLevel = level;
+    });
+    $outer.addEventListener('pointerleave', () => {
+      this.hoveredLevel = level - 1;
+      this.scheduleHide();
+    });
+    document.body.appendChild($outer);
+    this.stack.push($outer);
 
-    let c1 = c1c[i];
-    let c2 = c2c[i];
-    let c1cn = Number(c1);
-    let c2cn = Number(c2);
+    let rect = $link.getBoundingClientRect();
+    let left = Math.min(rect.left, document.documentElement.clientWidth - $outer.offsetWidth - 10);
+    $outer.style.left = Math.max(0, left) + window.scrollX + 'px';
+    $outer.style.top = rect.bottom + window.scrollY + 'px';
+  },
 
-    if (Number.isNaN(c1cn) && Number.isNaN(c2cn)) {
-      if (c1 > c2) {
-        return 1;
-      } else if (c1 < c2) {
-        return -1;
-      }
-    } else if (!Number.isNaN(c1cn) && Number.isNaN(c2cn)) {
-      return -1;
-    } else if (Number.isNaN(c1cn) && !Number.isNaN(c2cn)) {
-      return 1;
-    } else if (c1cn > c2cn) {
-      return 1;
-    } else if (c1cn < c2cn) {
-      return -1;
-    }
-  }
+  scheduleHide() {
+    clearTimeout(this.hideTimeout);
+    this.hideTimeout = setTimeout(() => {
+      this.hideFrom(this.hoveredLevel + 1);
+    }, 500);
+  },
 
-  if (c1c.length === c2c.length) {
-    return 0;
+  hideFrom(level) {
+    this.stack.splice(level).forEach($outer => {
+      $outer.remove();
+    });
+    this.hoveredLevel = Math.min(this.hoveredLevel, level - 1);
+  },
+};
+
+function findPreviewLink(el) {
+  if (!(el instanceof Element)) {
+    return null;
   }
-  return -1;
+  let $link = el.closest('emu-xref a');
+  if ($link == null || $link.hash === '' || $link.host !== location.host) {
+    return null;
+  }
+  return menu.search.biblio.byId[$link.hash.slice(1)] ? $link : null;
 }
 
-function makeLinkToId(id) {
-  let hash = '#' + id;
-  if (typeof idToSection === 'undefined' || !idToSection[id]) {
-    return hash;
+function findClauseForId(id) {
+  let $target = document.getElementById(id);
+  if ($target == null) {
+    return null;
   }
-  let targetSec = idToSection[id];
-  return (targetSec === 'index' ? './' : targetSec + '.html') + hash;
+  return CLAUSE_NODES.indexOf($target.nodeName) === -1 ? findContainer($target) : $target;
 }
 
-function doShortcut(e) {
-  if (!(e.target instanceof HTMLElement)) {
-    return;
+// The signature, algorithm steps, and notes of the clause containing `id`. Takes the biblio rather
+// than reading it from `menu`, since the search box previews results while the menu is created.
+function buildPreviewContent(id, biblio) {
+  let $clause = findClauseForId(id);
+  if ($clause == null) {
+    return null;
   }
-  let target = e.target;
-  let name = target.nodeName.toLowerCase();
-  if (name === 'textarea' || name === 'input' || name === 'select' || target.isContentEditable) {
-    return;
+  let entry = biblio.byId[$clause.id];
+  let $content = document.createElement('div');
+  let $header = document.createElement('div');
+  $header.classList.add('xref-preview-header');
+  if (entry) {
+    $header.innerHTML = `${entry.number} ${entry.titleHTML}`;
+  } else {
+    $header.innerHTML = $clause.querySelector('h1').innerHTML;
   }
-  if (e.altKey || e.ctrlKey || e.metaKey) {
-    return;
+  $content.appendChild($header);
+  for (let $child of $clause.children) {
+    if ($child.nodeName === 'EMU-ALG' || $child.nodeName === 'EMU-NOTE') {
+      $content.appendChild($child.cloneNode(true));
+    }
   }
-  if (e.key === 'm' && usesMultipage) {
-    let pathParts = location.pathname.split('/');
-    let hash = location.hash;
-    if (pathParts[pathParts.length - 2] === 'multipage') {
-      if (hash === '') {
-        let sectionName = pathParts[pathParts.length - 1];
-        if (sectionName.endsWith('.html')) {
-          sectionName = sectionName.slice(0, -5);
+  $content.querySelectorAll('[id]').forEach($el => {
+    $el.removeAttribute('id');
+  });
+  return $content;
+}
+
+// A split pane beside the spec showing clauses opened with alt-click, one tab per clause.
+let peekPane = {
+  init() {
+    this.tabs = [];
+    this.activeTab = null;
+
+    this.$pane = document.createElement('div');
+    this.$pane.setAttribute('id', 'peek-pane');
+    let $header = document.createElement('div');
+    $header.classList.add('menu-pane-header');
+    this.$tabStrip = document.createElement('span');
+    this.$tabStrip.setAttribute('id', 'peek-pane-tabs');
+    $header.appendChild(this.$tabStrip);
+    let $closeButton = document.createElement('span');
+    $closeButton.setAttribute('id', 'peek-pane-close');
+    $closeButton.addEventListener('click', () => {
+      this.closeAll();
+    });
+    $header.appendChild($closeButton);
+    this.$pane.appendChild($header);
+    this.$body = document.createElement('div');
+    this.$body.setAttribute('id', 'peek-pane-body');
+    this.$pane.appendChild(this.$body);
+    document.body.appendChild(this.$pane);
+
+    document.addEventListener(
+      'click',
+      e => {
+        if (!e.altKey) {
+          return;
         }
-        if (idToSection['sec-' + sectionName] !== undefined) {
-          hash = '#sec-' + sectionName;
+        let $link = findPreviewLink(e.target);
+        if ($link != null) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.open($link.hash.slice(1));
         }
+      },
+      true
+    );
+  },
+
+  open(id) {
+    let tab = this.tabs.find(tab => tab.id === id);
+    if (tab == null) {
+      let $clause = findClauseForId(id);
+      if ($clause == null) {
+        return;
       }
-      location = pathParts.slice(0, -2).join('/') + '/' + hash;
-    } else {
-      location = 'multipage/' + hash;
+      let $content = $clause.cloneNode(true);
+      $content.querySelectorAll('[id]').forEach($el => {
+        $el.removeAttribute('id');
+      });
+      $content.removeAttribute('id');
+
+      let $tab = document.createElement('span');
+      $tab.classList.add('peek-pane-tab');
+      let $title = document.createElement('a');
+      $title.setAttribute('href', makeLinkToId(id));
+      $title.textContent = $clause.querySelector('h1').textContent.trim();
+      $title.addEventListener('click', e => {
+        e.preventDefault();
+        this.select(tab);
+      });
+      let $close = document.createElement('span');
+      $close.classList.add('peek-pane-tab-close');
+      $close.addEventListener('click', () => {
+        this.close(tab);
+      });
+      $tab.appendChild($title);
+      $tab.appendChild($close);
+      this.$tabStrip.appendChild($tab);
+
+      tab = { id, $tab, $content, scrollTop: 0 };
+      this.tabs.push(tab);
     }
-  } else if (e.key === 'u') {
-    document.documentElement.classList.toggle('show-ao-annotations');
-  } else if (e.key === '?') {
-    document.getElementById('shortcuts-help').classList.toggle('active');
+    this.$pane.classList.add('active');
+    this.select(tab);
+  },
+
+  select(tab) {
+    if (this.activeTab != null) {
+      this.activeTab.scrollTop = this.$body.scrollTop;
+      this.activeTab.$tab.classList.remove('active');
+    }
+    this.activeTab = tab;
+    tab.$tab.classList.add('active');
+    this.$body.textContent = '';
+    this.$body.appendChild(tab.$content);
+    this.$body.scrollTop = tab.scrollTop;
+  },
+
+  close(tab) {
+    let index = this.tabs.indexOf(tab);
+    this.tabs.splice(index, 1);
+    tab.$tab.remove();
+    if (this.activeTab === tab) {
+      this.activeTab = null;
+      this.$body.textContent = '';
+      if (this.tabs.length > 0) {
+        this.select(this.tabs[Math.min(index, this.tabs.length - 1)]);
+      }
+    }
+    if (this.tabs.length === 0) {
+      this.$pane.classList.remove('active');
+    }
+  },
+
+  closeAll() {
+    this.tabs.slice().forEach(tab => {
+      this.close(tab);
+    });
+  },
+
+  getState() {
+    if (this.tabs.length === 0) {
+      return null;
+    }
+    if (this.activeTab != null) {
+      this.activeTab.scrollTop = this.$body.scrollTop;
+    }
+    return {
+      tabs: this.tabs.map(tab => ({ id: tab.id, scrollTop: tab.scrollTop })),
+      active: this.activeTab ? this.activeTab.id : null,
+    };
+  },
+
+  loadState(state) {
+    this.closeAll();
+    state.tabs.forEach(({ id, scrollTop }) => {
+      this.open(id);
+      if (this.activeTab != null && this.activeTab.id === id) {
+        this.activeTab.scrollTop = scrollTop;
+        this.$body.scrollTop = scrollTop;
+      }
+    });
+    let active = this.tabs.find(tab => tab.id === state.active);
+    if (active != null) {
+      this.select(active);
+    }
+  },
+};
+
+// Private notes on clauses, algorithm steps, and variables, shown as markers beside their target.
+let annotations = {
+  init() {
+    this.items = JSON.parse(getStored('localStorage', 'annotations') || '[]');
+    this.importError = null;
+    this.$hovered = null;
+    document.addEventListener('mouseover', e => {
+      this.$hovered = e.target;
+    });
+
+    this.$import = document.createElement('input');
+    this.$import.setAttribute('type', 'file');
+    this.$import.setAttribute('accept', '.md,.json,text/markdown,application/json');
+    this.$import.style.display = 'none';
+    this.$import.addEventListener('change', () => {
+      let file = this.$import.files[0];
+      if (file == null) {
+        return;
+      }
+      file.text().then(text => {
+        this.importReview(text);
+      });
+      this.$import.value = '';
+    });
+    document.body.appendChild(this.$import);
+
+    this.render();
+  },
+
+  getTarget($el) {
+    if (!($el instanceof Element) || !$el.closest('#spec-container')) {
+      return null;
+    }
+    let $clause = $el.closest('emu-clause, emu-annex, emu-intro');
+    if ($clause == null || !$clause.id) {
+      return null;
+    }
+    let $step = $el.closest('emu-alg li');
+    return {
+      clauseId: $clause.id,
+      step: $step && findContainer($step) === $clause ? getStepNumber($step) : null,
+      variable: $el.nodeName === 'VAR' ? $el.innerHTML : null,
+    };
+  },
+
+  annotateHovered() {
+    let target = this.getTarget(this.$hovered);
+    if (target != null) {
+      this.annotate(target);
+    }
+  },
+
+  annotate(target) {
+    let text = prompt('Note');
+    if (text) {
+      this.items.push(Object.assign({ text, created: Date.now() }, target));
+      this.persist();
+      this.render();
+    }
+  },
+
+  edit(annotation) {
+    let text = prompt('Note (leave empty to delete)', annotation.text);
+    if (text == null) {
+      return;
+    }
+    if (text === '') {
+      this.items.splice(this.items.indexOf(annotation), 1);
+    } else {
+      annotation.text = text;
+    }
+    this.persist();
+    this.render();
+  },
+
+  persist() {
+    setStored('localStorage', 'annotations', JSON.stringify(this.items));
+    if (referencePane.state && referencePane.state.type === 'annotations') {
+      referencePane.showAnnotations();
+    }
+  },
+
+  resolve(annotation) {
+    let $clause = document.getElementById(annotation.clauseId);
+    if ($clause == null) {
+      return null;
+    }
+    let $target = annotation.step
+      ? findStep($clause, annotation.step)
+      : $clause.querySelector('h1');
+    if ($target != null && annotation.variable) {
+      $target =
+        findLocalReferences($target, annotation.variable).find(
+          $var => $target.nodeName !== 'LI' || $var.closest('li') === $target
+        ) || $target;
+    }
+    return $target;
+  },
+
+  render() {
+    document.querySelectorAll('.annotation-marker').forEach($marker => {
+      $marker.remove();
+    });
+    this.items.forEach(annotation => {
+      let $target = this.resolve(annotation);
+      if ($target == null) {
+        return;
+      }
+      let $marker = document.createElement('span');
+      $marker.classList.add('annotation-marker');
+      $marker.setAttribute('aria-hidden', 'true');
+      $marker.setAttribute('title', annotation.text);
+      $marker.addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.edit(annotation);
+      });
+      if ($target.nodeName === 'VAR') {
+        $target.after($marker);
+      } else {
+        let $sublist = $target.nodeName === 'LI' ? $target.querySelector('ol') : null;
+        $target.insertBefore(
+          $marker,
+          $sublist && $sublist.parentNode === $target ? $sublist : null
+        );
+      }
+    });
+  },
+
+  getLink(annotation) {
+    if (annotation.step) {
+      return makeStepLink(annotation.clauseId, annotation.step);
+    }
+    return new URL(makeLinkToId(annotation.clauseId), location.href).href;
+  },
+
+  // Grouped by clause, ready to paste into a review; the raw notes ride along in a trailing
+  // comment so that importing the document restores them.
+  exportReview() {
+    let biblio = menu.search.biblio;
+    let byClause = new Map();
+    this.items.forEach(annotation => {
+      if (!byClause.has(annotation.clauseId)) {
+        byClause.set(annotation.clauseId, []);
+      }
+      byClause.get(annotation.clauseId).push(annotation);
+    });
+    let clauses = [...byClause.keys()].map(
+      id => biblio.byId[id] || { id, number: '', titleHTML: id }
+    );
+    clauses.sort(sortByClauseNumber);
+
+    let markdown = `# Review of ${document.title}\n`;
+    clauses.forEach(clause => {
+      let title = clause.title || clause.titleHTML.replace(/<[^>]+>/g, '');
+      markdown += `\n## ${clause.number ? clause.number + ' ' : ''}${title}\n\n`;
+      byClause.get(clause.id).forEach(annotation => {
+        let label = annotation.step ? 'Step ' + annotation.step : 'Clause';
+        let variable = annotation.variable ? ` (_${annotation.variable}_)` : '';
+        let text = escapeMarkdown(annotation.text);
+        markdown += `- [${label}](${this.getLink(annotation)})${variable}: ${text}\n`;
+      });
+    });
+    // a `-->` in a note would end the comment early; `\u003e` keeps the JSON equivalent
+    let data = JSON.stringify(this.items).replace(/-->/g, '--\\u003e');
+    markdown += `\n<!-- ecmarkup-annotations ${data} -->\n`;
+    return markdown;
+  },
+
+  downloadReview() {
+    let $download = document.createElement('a');
+    $download.href = URL.createObjectURL(
+      new Blob([this.exportReview()], { type: 'text/markdown' })
+    );
+    $download.download = 'review.md';
+    $download.click();
+    URL.revokeObjectURL($download.href);
+  },
+
+  importReview(text) {
+    let match = text.match(/<!-- ecmarkup-annotations (.*) -->/);
+    let items;
+    try {
+      items = JSON.parse(match ? match[1] : text);
+    } catch (e) {
+      items = null;
+    }
+    if (!Array.isArray(items)) {
+      this.importError = 'Could not import notes: the file is not an exported review.';
+      referencePane.showAnnotations();
+      return;
+    }
+    this.importError = null;
+    let key = a => [a.clauseId, a.step, a.variable, a.text].join('\u0000');
+    let existing = new Set(this.items.map(key));
+    items.forEach(annotation => {
+      if (annotation && annotation.clauseId && annotation.text && !existing.has(key(annotation))) {
+        this.items.push(annotation);
+      }
+    });
+    this.persist();
+    this.render();
+  },
+};
+
+// Note text as literal Markdown: continuation lines stay inside the list item.
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#|]/g, '\\$&').replace(/\n/g, '\n  ');
+}
+
+function getActiveClauseEntry() {
+  let path = menu.$activeClause;
+  if (!path || path.length === 0) {
+    return null;
+  }
+  return menu.search.biblio.byId[path[path.length - 1].id] || null;
+}
+
+// Every keyboard shortcut is bound to one of these, so it can be rebound in the settings panel.
+// Commands with a `context` are handled by the widget they belong to rather than by the document.
+// A key of '] s' is a sequence: ']' followed by 's'.
+let COMMANDS = [
+  {
+    id: 'command-palette',
+    name: 'Open command palette',
+    key: /Mac|iPhone|iPad/.test(navigator.platform) ? 'Meta+k' : 'Ctrl+k',
+    inInputs: true,
+    palette: false,
+    run() {
+      commandPalette.toggle();
+    },
+  },
+  {
+    id: 'search',
+    name: 'Search',
+    key: '/',
+    run() {
+      menu.search.triggerSearch();
+    },
+  },
+  {
+    id: 'search-select',
+    name: 'Go to the selected search result',
+    key: 'Enter',
+    context: 'search',
+    palette: false,
+  },
+  {
+    id: 'search-peek',
+    name: 'Open the selected search result in the peek pane',
+    key: 'Shift+Enter',
+    context: 'search',
+    palette: false,
+  },
+  {
+    id: 'sdo-close',
+    name: 'Close the syntax-directed operations box',
+    key: 'Escape',
+    context: 'sdo-box',
+    palette: false,
+  },
+  {
+    id: 'xref-preview-close',
+    name: 'Close reference previews',
+    key: 'Escape',
+    context: 'xref-preview',
+    palette: false,
+  },
+  {
+    id: 'step-tracer-run',
+    name: 'Run the step tracer',
+    key: /Mac|iPhone|iPad/.test(navigator.platform) ? 'Meta+Enter' : 'Ctrl+Enter',
+    context: 'step-tracer',
+    palette: false,
+  },
+  {
+    id: 'toggle-pin',
+    name: 'Toggle pin for current clause',
+    key: 'p',
+    run() {
+      menu.togglePinEntry();
+    },
+  },
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => ({
+    id: 'pin-' + n,
+    name: 'Go to pin ' + n,
+    key: String(n),
+    palette: false,
+    run() {
+      menu.selectPin(n - 1);
+    },
+  })),
+  {
+    id: 'references',
+    name: 'Show references to current clause',
+    run() {
+      let entry = getActiveClauseEntry();
+      if (entry != null) {
+        referencePane.showReferencesFor(entry);
+      }
+    },
+  },
+  {
+    id: 'impact',
+    name: 'Show impact of current clause',
+    run() {
+      let entry = getActiveClauseEntry();
+      if (entry != null) {
+        referencePane.showImpactFor(entry);
+      }
+    },
+  },
+  {
+    id: 'ao-annotations',
+    name: 'Toggle AO annotations',
+    key: 'u',
+    run() {
+      document.documentElement.classList.toggle('show-ao-annotations');
+    },
+  },
+  {
+    id: 'exception-map',
+    name: 'Toggle exception map',
+    key: 'x',
+    run() {
+      exceptionMap.toggleOverlay();
+    },
+  },
+  {
+    id: 'exceptions',
+    name: 'List exceptions thrown by built-ins',
+    key: 'X',
+    run() {
+      referencePane.showExceptions();
+    },
+  },
+  {
+    id: 'multipage',
+    name: 'Toggle multipage',
+    key: 'm',
+    available: () => usesMultipage,
+    run() {
+      toggleMultipage();
+    },
+  },
+  {
+    id: 'expand-toc',
+    name: 'Expand table of contents',
+    run() {
+      menu.$toc.querySelectorAll('li').forEach($li => {
+        $li.classList.add('active');
+      });
+      menu.show();
+    },
+  },
+  {
+    id: 'collapse-toc',
+    name: 'Collapse table of contents',
+    run() {
+      menu.$toc.querySelectorAll('li.active').forEach($li => {
+        $li.classList.remove('active');
+      });
+    },
+  },
+  {
+    id: 'diff-mode',
+    name: 'Cycle diff mode',
+    key: 'd',
+    run() {
+      diffMode.cycle();
+    },
+  },
+  {
+    id: 'changes',
+    name: 'Show changes',
+    key: 'c',
+    run() {
+      referencePane.showChanges();
+    },
+  },
+  {
+    id: 'next-change',
+    name: 'Next change',
+    key: 'n',
+    run() {
+      changeNavigator.next();
+    },
+  },
+  {
+    id: 'previous-change',
+    name: 'Previous change',
+    key: 'N',
+    run() {
+      changeNavigator.previous();
+    },
+  },
+  {
+    id: 'history-back',
+    name: 'Back in navigation history',
+    key: 'b',
+    run() {
+      jumpHistory.back();
+    },
+  },
+  {
+    id: 'history-forward',
+    name: 'Forward in navigation history',
+    key: 'f',
+    run() {
+      jumpHistory.forward();
+    },
+  },
+  {
+    id: 'next-clause',
+    name: 'Next clause',
+    key: 'j',
+    run() {
+      structuralNav.nextSibling();
+    },
+  },
+  {
+    id: 'previous-clause',
+    name: 'Previous clause',
+    key: 'k',
+    run() {
+      structuralNav.previousSibling();
+    },
+  },
+  {
+    id: 'parent-clause',
+    name: 'Parent clause',
+    key: 'h',
+    run() {
+      structuralNav.parent();
+    },
+  },
+  {
+    id: 'first-child-clause',
+    name: 'First subclause',
+    key: 'l',
+    run() {
+      structuralNav.firstChild();
+    },
+  },
+  {
+    id: 'next-step',
+    name: 'Next algorithm step',
+    key: '] s',
+    run() {
+      structuralNav.nextStep();
+    },
+  },
+  {
+    id: 'previous-step',
+    name: 'Previous algorithm step',
+    key: '[ s',
+    run() {
+      structuralNav.previousStep();
+    },
+  },
+  {
+    id: 'go-to-clause',
+    name: 'Go to clause number',
+    key: 'g',
+    run() {
+      structuralNav.promptClauseNumber();
+    },
+  },
+  {
+    id: 'compare',
+    name: 'Compare with snapshot',
+    key: 'o',
+    run() {
+      snapshotComparison.open();
+    },
+  },
+  {
+    id: 'race-explorer',
+    name: 'Open SharedArrayBuffer race explorer',
+    available: () => raceExplorer.$container != null,
+    run() {
+      raceExplorer.open();
+    },
+  },
+  {
+    id: 'step-tracer',
+    name: 'Toggle algorithm step tracer',
+    key: 't',
+    run() {
+      stepTracer.toggle();
+    },
+  },
+  {
+    id: 'trace-next',
+    name: 'Next traced step',
+    key: '] t',
+    available: () => stepTracer.isOpen() && stepTracer.trace != null,
+    run() {
+      stepTracer.next();
+    },
+  },
+  {
+    id: 'trace-previous',
+    name: 'Previous traced step',
+    key: '[ t',
+    available: () => stepTracer.isOpen() && stepTracer.trace != null,
+    run() {
+      stepTracer.previous();
+    },
+  },
+  {
+    id: 'annotate',
+    name: 'Add note to the step or variable under the pointer',
+    key: 'a',
+    palette: false,
+    run() {
+      annotations.annotateHovered();
+    },
+  },
+  {
+    id: 'annotate-clause',
+    name: 'Add note to current clause',
+    run() {
+      let entry = getActiveClauseEntry();
+      if (entry != null) {
+        annotations.annotate({ clauseId: entry.id, step: null, variable: null });
+      }
+    },
+  },
+  {
+    id: 'notes',
+    name: 'Show notes',
+    key: 'A',
+    run() {
+      referencePane.showAnnotations();
+    },
+  },
+  {
+    id: 'export-review',
+    name: 'Export review',
+    run() {
+      annotations.downloadReview();
+    },
+  },
+  {
+    id: 'settings',
+    name: 'Keyboard shortcuts',
+    key: '?',
+    run() {
+      keymapSettings.toggle();
+    },
+  },
+  {
+    id: 'dismiss',
+    name: 'Close toolbox and dialogs',
+    key: 'Escape',
+    palette: false,
+    run() {
+      if (Toolbox.active) {
+        Toolbox.deactivate();
+      }
+      keymapSettings.close();
+    },
+  },
+];
+
+function keyFromEvent(e) {
+  if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+    return null;
+  }
+  let parts = [];
+  if (e.ctrlKey) {
+    parts.push('Ctrl');
+  }
+  if (e.metaKey) {
+    parts.push('Meta');
+  }
+  if (e.altKey) {
+    parts.push('Alt');
+  }
+  // shift is already reflected in printable keys ('N', '?')
+  if (e.shiftKey && e.key.length > 1) {
+    parts.push('Shift');
+  }
+  parts.push(e.key);
+  return parts.join('+');
+}
+
+function isTypingTarget(target) {
+  if (!(target instanceof HTMLElement)) {
+    return false;
+  }
+  let name = target.nodeName.toLowerCase();
+  return name === 'textarea' || name === 'input' || name === 'select' || target.isContentEditable;
+}
+
+let keymap = {
+  init() {
+    try {
+      this.overrides = JSON.parse(getStored('localStorage', 'keymap') || '{}');
+    } catch (e) {
+      console.error('could not load keymap', e);
+      this.overrides = {};
+    }
+    document.addEventListener('keydown', this.handleKeydown.bind(this));
+  },
+
+  getCommand(id) {
+    return COMMANDS.find(command => command.id === id);
+  },
+
+  getKey(id) {
+    if (Object.prototype.hasOwnProperty.call(this.overrides, id)) {
+      return this.overrides[id];
+    }
+    return this.getCommand(id).key || null;
+  },
+
+  setKey(id, key) {
+    if (key === (this.getCommand(id).key || null)) {
+      delete this.overrides[id];
+    } else {
+      this.overrides[id] = key;
+    }
+    this.persist();
+  },
+
+  reset() {
+    this.overrides = {};
+    this.persist();
+  },
+
+  persist() {
+    setStored('localStorage', 'keymap', JSON.stringify(this.overrides));
+  },
+
+  // commands in the same context sharing a key, or whose key starts the other's sequence; such
+  // keys do nothing until the conflict is resolved
+  getConflicts(id) {
+    let command = this.getCommand(id);
+    let key = this.getKey(id);
+    if (key == null) {
+      return [];
+    }
+    return COMMANDS.filter(other => {
+      let otherKey = this.getKey(other.id);
+      return (
+        other !== command &&
+        other.context === command.context &&
+        otherKey != null &&
+        (otherKey === key || otherKey.startsWith(key + ' ') || key.startsWith(otherKey + ' '))
+      );
+    });
+  },
+
+  matches(id, e, sequence) {
+    let key = this.getKey(id);
+    let pressed = (sequence ? sequence + ' ' : '') + keyFromEvent(e);
+    return key != null && key === pressed && this.getConflicts(id).length === 0;
+  },
+
+  getDocumentCommands(e) {
+    let typing = isTypingTarget(e.target);
+    return COMMANDS.filter(
+      command =>
+        !command.context &&
+        (!typing || command.inInputs) &&
+        (!command.available || command.available())
+    );
+  },
+
+  handleKeydown(e) {
+    let key = keyFromEvent(e);
+    if (e.defaultPrevented || key == null) {
+      return;
+    }
+    let commands = this.getDocumentCommands(e);
+    let sequence = this.sequence;
+    this.sequence = null;
+    clearTimeout(this.sequenceTimeout);
+
+    let command = commands.find(command => this.matches(command.id, e, sequence));
+    if (command == null && sequence != null) {
+      // an abandoned sequence; treat the key on its own
+      command = commands.find(command => this.matches(command.id, e));
+      sequence = null;
+    }
+    if (command != null) {
+      e.preventDefault();
+      e.stopPropagation();
+      command.run();
+      return;
+    }
+
+    let prefix = (sequence ? sequence + ' ' : '') + key;
+    if (commands.some(command => (this.getKey(command.id) || '').startsWith(prefix + ' '))) {
+      e.preventDefault();
+      this.sequence = prefix;
+      this.sequenceTimeout = setTimeout(() => {
+        this.sequence = null;
+      }, 1000);
+    }
+  },
+};
+
+let keymapSettings = {
+  init() {
+    // the settings panel supersedes the static list of shortcuts
+    let $help = document.getElementById('shortcuts-help');
+    if ($help) {
+      $help.remove();
+    }
+    this.$container = document.createElement('div');
+    this.$container.setAttribute('id', 'keymap-settings');
+    // prettier-ignore
+    this.$container.innerHTML = `<h2>Keyboard shortcuts</h2><p>Click a shortcut, then press the new key or keys. <code>Backspace</code> unbinds it, <code>Escape</code> cancels.</p><table><tbody></tbody></table><button id="keymap-settings-reset">reset to defaults</button> <button id="keymap-settings-close">close</button>`;
+    this.$body = this.$container.querySelector('tbody');
+    this.$container.querySelector('#keymap-settings-reset').addEventListener('click', () => {
+      keymap.reset();
+      this.render();
+    });
+    this.$container.querySelector('#keymap-settings-close').addEventListener('click', () => {
+      this.close();
+    });
+    document.body.appendChild(this.$container);
+  },
+
+  isOpen() {
+    return this.$container.classList.contains('active');
+  },
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.render();
+      this.$container.classList.add('active');
+    }
+  },
+
+  close() {
+    this.$container.classList.remove('active');
+  },
+
+  render() {
+    this.$body.textContent = '';
+    COMMANDS.forEach(command => {
+      if (command.available && !command.available()) {
+        return;
+      }
+      let row = this.$body.insertRow();
+      row.insertCell().textContent = command.name;
+      let $button = document.createElement('button');
+      $button.textContent = keymap.getKey(command.id) || 'unbound';
+      $button.addEventListener('click', () => {
+        this.capture(command.id, $button);
+      });
+      let cell = row.insertCell();
+      cell.appendChild($button);
+      let conflicts = keymap.getConflicts(command.id);
+      if (conflicts.length > 0) {
+        row.classList.add('keymap-conflict');
+        let $warning = document.createElement('div');
+        $warning.textContent = 'conflicts with ' + conflicts.map(other => other.name).join(', ');
+        cell.appendChild($warning);
+      }
+    });
+  },
+
+  // Keys pressed in quick succession are recorded as a sequence.
+  capture(id, $button) {
+    $button.textContent = 'press a key…';
+    let keys = [];
+    let timeout;
+    let finish = key => {
+      clearTimeout(timeout);
+      document.removeEventListener('keydown', listener, true);
+      if (key !== undefined) {
+        keymap.setKey(id, key);
+      }
+      this.render();
+    };
+    let listener = e => {
+      let key = keyFromEvent(e);
+      if (key == null) {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      if (key === 'Escape') {
+        finish();
+        return;
+      } else if (keys.length === 0 && (key === 'Backspace' || key === 'Delete')) {
+        finish(null);
+        return;
+      }
+      keys.push(key);
+      $button.textContent = keys.join(' ') + ' …';
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        finish(keys.join(' '));
+      }, 800);
+    };
+    document.addEventListener('keydown', listener, true);
+  },
+};
+
+let commandPalette = {
+  init() {
+    this.$container = document.createElement('div');
+    this.$container.setAttribute('id', 'command-palette');
+    // prettier-ignore
+    this.$container.innerHTML = `<input id="command-palette-input" type="text" placeholder="Type a command or clause" autocomplete="off"><ul id="command-palette-results"></ul>`;
+    this.$input = this.$container.querySelector('#command-palette-input');
+    this.$results = this.$container.querySelector('#command-palette-results');
+    document.body.appendChild(this.$container);
+    this.results = [];
+    this.selected = 0;
+
+    this.$input.addEventListener('keydown', this.inputKeydown.bind(this));
+    this.$input.addEventListener('input', () => {
+      this.update();
+    });
+    this.$input.addEventListener('blur', () => {
+      this.close();
+    });
+    this.$results.addEventListener('mousedown', e => {
+      // keep focus in the input so that blur doesn't close the palette first
+      e.preventDefault();
+      let $item = e.target.closest('li');
+      if ($item != null) {
+        this.run(Number($item.dataset.index));
+      }
+    });
+  },
+
+  isOpen() {
+    return this.$container.classList.contains('active');
+  },
+
+  open() {
+    this.$container.classList.add('active');
+    this.$input.value = '';
+    this.update();
+    this.$input.focus();
+  },
+
+  close() {
+    this.$container.classList.remove('active');
+  },
+
+  toggle() {
+    if (this.isOpen()) {
+      this.$input.blur();
+    } else {
+      this.open();
+    }
+  },
+
+  inputKeydown(e) {
+    // keep typed keys away from the document-level shortcuts
+    e.stopPropagation();
+    if (keymap.matches('command-palette', e)) {
+      e.preventDefault();
+      this.$input.blur();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      this.select(this.selected + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.select(this.selected - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.run(this.selected);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.$input.blur();
+    }
+  },
+
+  getResults(query) {
+    let commands = COMMANDS.filter(
+      command => command.palette !== false && (!command.available || command.available())
+    );
+    if (query === '') {
+      return commands.map(command => ({ command }));
+    }
+
+    let results = [];
+    commands.forEach(command => {
+      let match = matchKey(query, command.name);
+      if (match) {
+        // commands are few, so let them outrank clauses with a similar match
+        results.push({ command, relevance: relevance({ key: command.name, match }) + 4096 });
+      }
+    });
+    if (query.length > 1) {
+      let numeric = /^[\d.]+$/.test(query);
+      menu.search.biblio.clauses.forEach(clause => {
+        let key = getKey(clause);
+        let match = numeric
+          ? clause.number.startsWith(query) && { score: 0, positions: [] }
+          : matchKey(query, key);
+        if (match) {
+          results.push({ clause, relevance: relevance({ key, entry: clause, match }) });
+        }
+      });
+    }
+    results.sort((a, b) => b.relevance - a.relevance);
+    return results.slice(0, 50);
+  },
+
+  update() {
+    this.results = this.getResults(this.$input.value.trim());
+    this.$results.textContent = '';
+    this.results.forEach((result, index) => {
+      let $item = document.createElement('li');
+      $item.dataset.index = index;
+      if (result.command) {
+        $item.classList.add('command-palette-command');
+        $item.textContent = result.command.name;
+        let key = keymap.getKey(result.command.id);
+        if (key) {
+          let $shortcut = document.createElement('code');
+          $shortcut.textContent = key;
+          $item.appendChild($shortcut);
+        }
+      } else {
+        let $number = document.createElement('span');
+        $number.classList.add('secnum');
+        $number.textContent = result.clause.number;
+        $item.appendChild($number);
+        $item.insertAdjacentHTML('beforeend', ' ' + result.clause.titleHTML);
+      }
+      this.$results.appendChild($item);
+    });
+    this.select(0);
+  },
+
+  select(index) {
+    if (this.results.length === 0) {
+      return;
+    }
+    this.selected = (index + this.results.length) % this.results.length;
+    let $current = this.$results.querySelector('li.selected');
+    if ($current) {
+      $current.classList.remove('selected');
+    }
+    let $item = this.$results.children[this.selected];
+    $item.classList.add('selected');
+    $item.scrollIntoView({ block: 'nearest' });
+  },
+
+  run(index) {
+    let result = this.results[index];
+    if (result == null) {
+      return;
+    }
+    this.$input.blur();
+    if (result.command) {
+      result.command.run();
+    } else {
+      document.location = makeLinkToId(result.clause.id);
+    }
+  },
+};
+
+let DIFF_MODES = ['inline', 'after', 'before', 'changes'];
+let DIFF_MODE_LABELS = {
+  inline: 'Inline changes',
+  after: 'After proposal',
+  before: 'Before proposal',
+  changes: 'Changes only',
+};
+
+let diffMode = {
+  init() {
+    this.mode = 'inline';
+    this.$indicator = document.createElement('div');
+    this.$indicator.setAttribute('id', 'diff-mode-indicator');
+    this.$indicator.setAttribute('title', 'Cycle diff view mode (d)');
+    this.$indicator.addEventListener('click', () => {
+      this.cycle();
+    });
+    document.body.appendChild(this.$indicator);
+
+    this.markSteps();
+    this.markUnchangedClauses();
+    this.setMode(this.loadMode(), false);
+  },
+
+  // A step whose own text is entirely inside <ins> (or <del>) disappears in the before (or after) view.
+  markSteps() {
+    document.querySelectorAll('emu-alg li').forEach($li => {
+      let kinds = getStepMarkupKinds($li);
+      if (kinds.size === 1 && kinds.has('INS')) {
+        $li.classList.add('diff-inserted-step');
+      } else if (kinds.size === 1 && kinds.has('DEL')) {
+        $li.classList.add('diff-deleted-step');
+      }
+    });
+  },
+
+  markUnchangedClauses() {
+    let changed = new Set();
+    document.querySelectorAll('ins, del, tr.ins, tr.del').forEach($change => {
+      changed.add(findContainer($change));
+      getWrappedClauses($change).forEach($clause => {
+        changed.add($clause);
+      });
+    });
+    document.querySelectorAll('emu-clause, emu-annex').forEach($clause => {
+      if (!changed.has($clause)) {
+        $clause.classList.add('diff-unchanged');
+      }
+    });
+  },
+
+  isHidden($el) {
+    if (this.mode === 'after') {
+      return $el.closest('del, tr.del, li.diff-deleted-step') != null;
+    } else if (this.mode === 'before') {
+      return $el.closest('ins, tr.ins, li.diff-inserted-step') != null;
+    }
+    return false;
+  },
+
+  cycle() {
+    let next = DIFF_MODES[(DIFF_MODES.indexOf(this.mode) + 1) % DIFF_MODES.length];
+    this.setMode(next, true);
+  },
+
+  setMode(mode, renumber) {
+    if (DIFF_MODES.indexOf(mode) === -1) {
+      mode = 'inline';
+    }
+    let classList = document.documentElement.classList;
+    classList.remove(...DIFF_MODES.map(m => 'diff-mode-' + m));
+    classList.add('diff-mode-' + mode);
+    this.mode = mode;
+    this.$indicator.textContent = DIFF_MODE_LABELS[mode];
+    this.$indicator.classList.toggle('active', mode !== 'inline');
+    this.persistMode();
+    if (referencePane.state && referencePane.state.type === 'changes') {
+      referencePane.showChanges();
+    }
+    if (renumber) {
+      document.querySelectorAll('emu-alg > ol').forEach(ol => {
+        addStepNumberText(ol, []);
+      });
+      annotations.render();
+    }
+  },
+
+  persistMode() {
+    setStored('localStorage', 'diffMode', this.mode);
+  },
+
+  loadMode() {
+    return getStored('localStorage', 'diffMode') || 'inline';
+  },
+};
+
+// Clauses wholly inside a change, as with <ins class="block"> around new clauses.
+function getWrappedClauses($change) {
+  return [...$change.querySelectorAll('emu-clause, emu-annex')];
+}
+
+let changeNavigator = {
+  // Changes are the outermost <ins>/<del> elements (or marked table rows), in document order.
+  getChanges() {
+    if (!this.changes) {
+      this.changes = [...menu.$specContainer.querySelectorAll('ins, del, tr.ins, tr.del')].filter(
+        $change => !$change.parentElement.closest('ins, del, tr.ins, tr.del')
+      );
+      this.index = -1;
+    }
+    return this.changes.filter($change => !diffMode.isHidden($change));
+  },
+
+  getChangedClauses() {
+    let clauses = [];
+    let byClause = new Map();
+    this.getChanges().forEach(($change, index) => {
+      // a block change around whole clauses is credited to each of them, not to their parent
+      let $clauses = getWrappedClauses($change);
+      if ($clauses.length === 0) {
+        $clauses = [findContainer($change)];
+      }
+      $clauses.forEach($clause => {
+        if ($clause == null) {
+          return;
+        }
+        let record = byClause.get($clause);
+        if (record == null) {
+          record = { $clause, insertions: 0, deletions: 0, firstIndex: index };
+          byClause.set($clause, record);
+          clauses.push(record);
+        }
+        if ($change.nodeName === 'INS' || $change.classList.contains('ins')) {
+          record.insertions++;
+        } else {
+          record.deletions++;
+        }
+      });
+    });
+    return clauses;
+  },
+
+  next() {
+    let changes = this.getChanges();
+    let index = this.syncIndex(changes);
+    if (index < changes.length - 1) {
+      this.goTo(index + 1);
+    }
+  },
+
+  previous() {
+    let changes = this.getChanges();
+    let index = this.syncIndex(changes);
+    if (index > 0) {
+      this.goTo(index - 1);
+    }
+  },
+
+  goTo(index) {
+    let $change = this.getChanges()[index];
+    if ($change == null) {
+      return;
+    }
+    this.index = index;
+    $change.scrollIntoView({ block: 'center' });
+    flash($change);
+  },
+
+  // If the reader scrolled away from the last visited change, continue from the viewport instead.
+  syncIndex(changes) {
+    let $current = changes[this.index];
+    if ($current != null) {
+      let rect = $current.getBoundingClientRect();
+      if (rect.bottom >= 0 && rect.top <= window.innerHeight) {
+        return this.index;
+      }
+    }
+    let index = changes.findIndex($change => $change.getBoundingClientRect().top > 0);
+    this.index = index === -1 ? changes.length - 1 : index - 1;
+    return this.index;
+  },
+};
+
+let structuralNav = {
+  getPath($clause) {
+    let path = [];
+    for (let $el = $clause; $el != null; $el = findContainer($el)) {
+      path.unshift($el);
+    }
+    return path;
+  },
+
+  // Unlike getChildClauses, this also finds clauses wrapped in <ins class="block"> or <del>.
+  getChildren($parent) {
+    let children = [];
+    let collect = $root => {
+      for (let $el of $root.children) {
+        if (['EMU-IMPORT', 'INS', 'DEL'].includes($el.nodeName)) {
+          collect($el);
+        } else if (CLAUSE_NODES.includes($el.nodeName)) {
+          children.push($el);
+        }
+      }
+    };
+    collect($parent || menu.$specContainer);
+    return children.filter(
+      $clause =>
+        !diffMode.isHidden($clause) &&
+        !(diffMode.mode === 'changes' && $clause.classList.contains('diff-unchanged'))
+    );
+  },
+
+  getCurrent() {
+    let path = menu.$activeClause;
+    return path && path.length > 0 ? path[path.length - 1] : null;
+  },
+
+  goToClause($clause) {
+    if ($clause == null) {
+      return;
+    }
+    location.hash = '#' + $clause.id;
+    $clause.scrollIntoView();
+    menu.setActiveClause(this.getPath($clause));
+  },
+
+  nextSibling() {
+    let $clause = this.getCurrent();
+    if ($clause == null) {
+      this.goToClause(this.getChildren(null)[0]);
+      return;
+    }
+    // past the last sibling, continue with the next clause further up
+    for (let $el = $clause; $el != null; $el = findContainer($el)) {
+      let siblings = this.getChildren(findContainer($el));
+      let $next = siblings[siblings.indexOf($el) + 1];
+      if ($next != null) {
+        this.goToClause($next);
+        return;
+      }
+    }
+  },
+
+  previousSibling() {
+    let $clause = this.getCurrent();
+    if ($clause == null) {
+      return;
+    }
+    let siblings = this.getChildren(findContainer($clause));
+    let index = siblings.indexOf($clause);
+    this.goToClause(index > 0 ? siblings[index - 1] : findContainer($clause));
+  },
+
+  parent() {
+    let $clause = this.getCurrent();
+    if ($clause != null) {
+      this.goToClause(findContainer($clause));
+    }
+  },
+
+  firstChild() {
+    this.goToClause(this.getChildren(this.getCurrent())[0]);
+  },
+
+  // Numbers starting with '.' are relative to the current clause, so '.2' from 4.1 goes to 4.1.2.
+  // An unknown number asks again, saying so.
+  promptClauseNumber(message = 'Go to clause number', initial) {
+    let $current = this.getCurrent();
+    let current = $current && menu.search.biblio.byId[$current.id];
+    let number = prompt(message, initial != null ? initial : current ? current.number : '');
+    if (!number) {
+      return;
+    }
+    number = number.trim();
+    if (number.startsWith('.') && current) {
+      number = current.number + number;
+    }
+    let clause = menu.search.biblio.clauses.find(clause => clause.number === number);
+    if (clause == null) {
+      this.promptClauseNumber(`There is no clause ${number}. Go to clause number`, number);
+      return;
+    }
+    this.goToClause(document.getElementById(clause.id));
+  },
+
+  getSteps() {
+    return [...menu.$specContainer.querySelectorAll('emu-alg li')].filter(
+      li => !isStepOmitted(li) && !diffMode.isHidden(li)
+    );
+  },
+
+  nextStep() {
+    let steps = this.getSteps();
+    let index = this.syncStepIndex(steps);
+    if (index < steps.length - 1) {
+      this.goToStep(steps[index + 1]);
+    }
+  },
+
+  previousStep() {
+    let steps = this.getSteps();
+    let index = this.syncStepIndex(steps);
+    if (index > 0) {
+      this.goToStep(steps[index - 1]);
+    }
+  },
+
+  goToStep($step) {
+    if (this.$step) {
+      this.$step.classList.remove('step-cursor');
+    }
+    this.$step = $step;
+    $step.classList.add('step-cursor');
+    $step.scrollIntoView({ block: 'center' });
+    menu.setActiveClause(this.getPath(findContainer($step)));
+  },
+
+  // Like changeNavigator.syncIndex: resume from the viewport if the current step was scrolled away.
+  syncStepIndex(steps) {
+    let index = steps.indexOf(this.$step);
+    if (index !== -1) {
+      let rect = this.$step.getBoundingClientRect();
+      if (rect.bottom >= 0 && rect.top <= window.innerHeight) {
+        return index;
+      }
+    }
+    index = steps.findIndex(li => li.getBoundingClientRect().top > 0);
+    return index === -1 ? steps.length - 1 : index - 1;
+  },
+};
+
+let breadcrumbs = {
+  init() {
+    this.$container = document.createElement('nav');
+    this.$container.setAttribute('id', 'breadcrumbs');
+    this.$container.setAttribute('aria-label', 'Current clause');
+    document.body.appendChild(this.$container);
+    this.path = [];
+
+    this.$container.addEventListener('click', e => {
+      let $toggle = e.target.closest('.breadcrumb-toggle');
+      if ($toggle != null) {
+        let $menu = $toggle.nextElementSibling;
+        let open = !$menu.classList.contains('active');
+        this.closeMenus();
+        $menu.classList.toggle('active', open);
+        $toggle.setAttribute('aria-expanded', String(open));
+      } else if (e.target.closest('a')) {
+        this.closeMenus();
+      }
+    });
+    document.addEventListener('click', e => {
+      if (!this.$container.contains(e.target)) {
+        this.closeMenus();
+      }
+    });
+    if (menu != null && menu.$activeClause) {
+      this.update(menu.$activeClause);
+    }
+  },
+
+  closeMenus() {
+    this.$container.querySelectorAll('.breadcrumb-menu.active').forEach($menu => {
+      $menu.classList.remove('active');
+      $menu.previousElementSibling.setAttribute('aria-expanded', 'false');
+    });
+  },
+
+  update(path) {
+    if (
+      this.$container == null ||
+      (path.length === this.path.length && path.every(($clause, i) => $clause === this.path[i]))
+    ) {
+      return;
+    }
+    this.path = path;
+    this.$container.textContent = '';
+    this.$container.classList.toggle('active', path.length > 0);
+    path.forEach($clause => {
+      let $crumb = document.createElement('span');
+      $crumb.classList.add('breadcrumb');
+      $crumb.appendChild(this.makeLink($clause));
+
+      let siblings = structuralNav.getChildren(findContainer($clause));
+      if (siblings.length > 1) {
+        let $toggle = document.createElement('button');
+        $toggle.classList.add('breadcrumb-toggle');
+        $toggle.setAttribute('aria-label', 'Sibling clauses');
+        $toggle.setAttribute('aria-expanded', 'false');
+        $toggle.textContent = '▾';
+        $crumb.appendChild($toggle);
+
+        let $menu = document.createElement('ul');
+        $menu.classList.add('breadcrumb-menu');
+        siblings.forEach($sibling => {
+          let $item = document.createElement('li');
+          if ($sibling === $clause) {
+            $item.classList.add('current');
+          }
+          $item.appendChild(this.makeLink($sibling));
+          $menu.appendChild($item);
+        });
+        $crumb.appendChild($menu);
+      }
+      this.$container.appendChild($crumb);
+    });
+  },
+
+  makeLink($clause) {
+    let $link = document.createElement('a');
+    $link.setAttribute('href', makeLinkToId($clause.id));
+    let entry = menu.search.biblio.byId[$clause.id];
+    if (entry != null) {
+      $link.innerHTML =
+        (entry.number ? `<span class="secnum">${entry.number}</span> ` : '') + entry.titleHTML;
+    } else {
+      let $header = $clause.querySelector('h1');
+      $link.textContent = $header ? $header.textContent : $clause.id;
+    }
+    return $link;
+  },
+};
+
+// Every in-spec navigation, with the scroll position it was left at. Kept apart from the browser
+// history so that stepping through it never leaves the page.
+let jumpHistory = {
+  init() {
+    this.entries = [];
+    this.index = -1;
+    this.recent = [];
+    // history that can't be read, from an older version or otherwise, starts over
+    let stored;
+    try {
+      stored = JSON.parse(getStored('sessionStorage', 'jumpHistory') || 'null');
+    } catch (e) {
+      stored = null;
+    }
+    if (stored != null && Array.isArray(stored.entries) && Array.isArray(stored.recent)) {
+      this.entries = stored.entries;
+      this.index = stored.index;
+      this.recent = stored.recent;
+    }
+
+    this.$container = document.createElement('div');
+    this.$container.setAttribute('id', 'menu-recent');
+    // prettier-ignore
+    this.$container.innerHTML = `<div class="menu-pane-header">Recently visited</div><ul id="menu-recent-list"></ul>`;
+    this.$list = this.$container.querySelector('#menu-recent-list');
+    menu.$pins.parentNode.insertBefore(this.$container, menu.$pins);
+
+    this.scrollY = window.scrollY;
+    window.addEventListener(
+      'scroll',
+      debounce(() => {
+        this.scrollY = window.scrollY;
+      })
+    );
+    window.addEventListener('hashchange', () => {
+      this.record();
+    });
+    this.record();
+  },
+
+  getClauseId(hash) {
+    let fragment = parseStepFragment(hash);
+    let $target = document.getElementById(
+      fragment ? fragment.clauseId : decodeFragment(hash.slice(1))
+    );
+    if ($target == null) {
+      return null;
+    }
+    let $clause = CLAUSE_NODES.includes($target.nodeName) ? $target : findContainer($target);
+    return $clause ? $clause.id : null;
+  },
+
+  record() {
+    let hash = location.hash;
+    let current = this.entries[this.index];
+    if (current != null) {
+      if (current.hash === hash) {
+        return;
+      }
+      current.scrollY = this.scrollY;
+    }
+    this.entries = this.entries.slice(0, this.index + 1);
+    this.entries.push({ hash, clauseId: this.getClauseId(hash), scrollY: null });
+    if (this.entries.length > 100) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length - 1;
+    this.visit(this.entries[this.index]);
+  },
+
+  back() {
+    if (this.index > 0) {
+      this.go(this.index - 1);
+    }
+  },
+
+  forward() {
+    if (this.index < this.entries.length - 1) {
+      this.go(this.index + 1);
+    }
+  },
+
+  go(index) {
+    this.entries[this.index].scrollY = window.scrollY;
+    this.index = index;
+    let entry = this.entries[index];
+    history.replaceState(null, '', entry.hash || location.pathname + location.search);
+    highlightStepFragment();
+    let $target = entry.hash && document.getElementById(entry.clauseId);
+    if (entry.scrollY != null) {
+      window.scrollTo(0, entry.scrollY);
+    } else if ($target) {
+      $target.scrollIntoView();
+    }
+    this.scrollY = window.scrollY;
+    this.visit(entry);
+  },
+
+  visit(entry) {
+    if (entry.clauseId != null) {
+      this.recent = [entry.clauseId]
+        .concat(this.recent.filter(id => id !== entry.clauseId))
+        .slice(0, 10);
+    }
+    setStored(
+      'sessionStorage',
+      'jumpHistory',
+      JSON.stringify({ entries: this.entries, index: this.index, recent: this.recent })
+    );
+    this.render();
+  },
+
+  render() {
+    this.$list.textContent = '';
+    this.recent.forEach(id => {
+      let entry = menu.search.biblio.byId[id];
+      if (entry == null) {
+        return;
+      }
+      let $item = document.createElement('li');
+      let $link = document.createElement('a');
+      $link.setAttribute('href', makeLinkToId(id));
+      $link.innerHTML =
+        (entry.number ? `<span class="secnum">${entry.number}</span> ` : '') + entry.titleHTML;
+      $item.appendChild($link);
+      this.$list.appendChild($item);
+    });
+    this.$container.classList.toggle('active', this.$list.children.length > 0);
+  },
+};
+
+// Models of the bounds-checking operations, step for step. Each records the steps it takes, with
+// the values involved, in `trace`. `view.length` is [[ArrayLength]] for TypedArrays and
+// [[ByteLength]] for DataViews; either may be 'auto' for length-tracking views.
+let BOUNDS_OPERATIONS = {
+  'sec-isintegerindexedobjectoutofbounds': {
+    name: 'IsIntegerIndexedObjectOutOfBounds',
+    kind: 'typedarray',
+    run(view, bufferByteLength, trace) {
+      if (view.detached) {
+        trace.push(['2', 'buffer is detached']);
+        return true;
+      }
+      trace.push(['3', `bufferByteLength = ${bufferByteLength}`]);
+      trace.push(['4', `byteOffsetStart = ${view.byteOffset}`]);
+      let byteOffsetEnd;
+      if (view.length === 'auto') {
+        byteOffsetEnd = bufferByteLength;
+        trace.push(['5.a', `byteOffsetEnd = ${byteOffsetEnd}`]);
+      } else {
+        byteOffsetEnd = view.byteOffset + view.length * view.elementSize;
+        trace.push([
+          '6.b',
+          `byteOffsetEnd = ${view.byteOffset} + ${view.length} × ${view.elementSize} = ${byteOffsetEnd}`,
+        ]);
+      }
+      if (view.byteOffset > bufferByteLength || byteOffsetEnd > bufferByteLength) {
+        trace.push(['7', `${view.byteOffset} or ${byteOffsetEnd} > ${bufferByteLength}`]);
+        return true;
+      }
+      trace.push(['9', 'in bounds']);
+      return false;
+    },
+  },
+  'sec-integerindexedobjectlength': {
+    name: 'IntegerIndexedObjectLength',
+    kind: 'typedarray',
+    run(view, bufferByteLength, trace) {
+      if (
+        BOUNDS_OPERATIONS['sec-isintegerindexedobjectoutofbounds'].run(view, bufferByteLength, [])
+      ) {
+        trace.push(['1', 'IsIntegerIndexedObjectOutOfBounds is true']);
+        return 'out-of-bounds';
+      }
+      trace.push(['1', 'IsIntegerIndexedObjectOutOfBounds is false']);
+      if (view.length !== 'auto') {
+        trace.push(['2', `[[ArrayLength]] is ${view.length}`]);
+        return view.length;
+      }
+      let length = Math.floor((bufferByteLength - view.byteOffset) / view.elementSize);
+      trace.push([
+        '8',
+        `floor((${bufferByteLength} - ${view.byteOffset}) / ${view.elementSize}) = ${length}`,
+      ]);
+      return length;
+    },
+  },
+  'sec-isviewoutofbounds': {
+    name: 'IsViewOutOfBounds',
+    kind: 'dataview',
+    run(view, bufferByteLength, trace) {
+      if (view.detached) {
+        trace.push(['2', 'buffer is detached']);
+        return true;
+      }
+      trace.push(['3', `bufferByteLength = ${bufferByteLength}`]);
+      trace.push(['4', `byteOffsetStart = ${view.byteOffset}`]);
+      let byteOffsetEnd;
+      if (view.length === 'auto') {
+        byteOffsetEnd = bufferByteLength;
+        trace.push(['5.a', `byteOffsetEnd = ${byteOffsetEnd}`]);
+      } else {
+        byteOffsetEnd = view.byteOffset + view.length;
+        trace.push([
+          '6.a',
+          `byteOffsetEnd = ${view.byteOffset} + ${view.length} = ${byteOffsetEnd}`,
+        ]);
+      }
+      if (view.byteOffset > bufferByteLength || byteOffsetEnd > bufferByteLength) {
+        trace.push(['7', `${view.byteOffset} or ${byteOffsetEnd} > ${bufferByteLength}`]);
+        return true;
+      }
+      trace.push(['9', 'in bounds']);
+      return false;
+    },
+  },
+  'sec-getviewbytelength': {
+    name: 'GetViewByteLength',
+    kind: 'dataview',
+    run(view, bufferByteLength, trace) {
+      if (BOUNDS_OPERATIONS['sec-isviewoutofbounds'].run(view, bufferByteLength, [])) {
+        trace.push(['1', 'IsViewOutOfBounds is true']);
+        return 'out-of-bounds';
+      }
+      trace.push(['1', 'IsViewOutOfBounds is false']);
+      if (view.length !== 'auto') {
+        trace.push(['2', `[[ByteLength]] is ${view.length}`]);
+        return view.length;
+      }
+      let byteLength = bufferByteLength - view.byteOffset;
+      trace.push(['7', `${bufferByteLength} - ${view.byteOffset} = ${byteLength}`]);
+      return byteLength;
+    },
+  },
+};
+
+let boundsCalculator = {
+  init() {
+    Object.keys(BOUNDS_OPERATIONS).forEach(id => {
+      let $clause = document.getElementById(id);
+      let $alg = $clause && [...$clause.children].find($child => $child.nodeName === 'EMU-ALG');
+      if ($alg) {
+        $clause.insertBefore(this.create(BOUNDS_OPERATIONS[id].kind), $alg);
+      }
+    });
+  },
+
+  create(kind) {
+    let $calculator = document.createElement('details');
+    $calculator.classList.add('bounds-calculator');
+    // prettier-ignore
+    $calculator.innerHTML = `<summary>Bounds calculator</summary><div class="bounds-calculator-inputs"><label>view <select data-field="kind"><option value="typedarray">TypedArray</option><option value="dataview">DataView</option></select></label><label>byteLength <input type="number" min="0" data-field="byteLength" value="16"></label><label>maxByteLength <input type="number" min="0" data-field="maxByteLength" value="32"></label><label><input type="checkbox" data-field="detached"> detached</label><label>byteOffset <input type="number" min="0" data-field="byteOffset" value="4"></label><label><input type="checkbox" data-field="tracking" checked> length-tracking</label><label data-for="fixed"><span class="bounds-calculator-length-label">length</span> <input type="number" min="0" data-field="length" value="2"></label><label data-for="typedarray">element size <select data-field="elementSize"><option>1</option><option>2</option><option selected>4</option><option>8</option></select></label></div><label class="bounds-calculator-resize">resize to <input type="range" min="0" data-field="resize"> <output></output></label><table><thead><tr><th>operation</th><th>result</th><th>steps taken</th></tr></thead><tbody></tbody></table>`;
+    let field = name => $calculator.querySelector(`[data-field="${name}"]`);
+    field('kind').value = kind;
+
+    let $resize = field('resize');
+    let update = e => {
+      let maxByteLength = Math.max(0, Number(field('maxByteLength').value));
+      if (e && e.target === field('byteLength')) {
+        $resize.value = field('byteLength').value;
+      } else if (e && e.target === $resize) {
+        field('byteLength').value = $resize.value;
+      }
+      $resize.max = maxByteLength;
+      let bufferByteLength = Math.min(Number(field('byteLength').value), maxByteLength);
+      $resize.value = bufferByteLength;
+      $calculator.querySelector('.bounds-calculator-resize output').textContent =
+        bufferByteLength + ' bytes';
+
+      let currentKind = field('kind').value;
+      let tracking = field('tracking').checked;
+      $calculator.querySelector('[data-for="fixed"]').style.display = tracking ? 'none' : '';
+      $calculator.querySelector('[data-for="typedarray"]').style.display =
+        currentKind === 'typedarray' ? '' : 'none';
+      $calculator.querySelector('.bounds-calculator-length-label').textContent =
+        currentKind === 'typedarray' ? '[[ArrayLength]]' : '[[ByteLength]]';
+
+      let view = {
+        detached: field('detached').checked,
+        byteOffset: Number(field('byteOffset').value),
+        length: tracking ? 'auto' : Number(field('length').value),
+        elementSize: currentKind === 'typedarray' ? Number(field('elementSize').value) : 1,
+      };
+      this.render($calculator.querySelector('tbody'), currentKind, view, bufferByteLength);
+    };
+    $calculator.addEventListener('input', update);
+    $calculator.addEventListener('change', update);
+    update();
+    return $calculator;
+  },
+
+  render($body, kind, view, bufferByteLength) {
+    $body.textContent = '';
+    Object.keys(BOUNDS_OPERATIONS).forEach(id => {
+      let operation = BOUNDS_OPERATIONS[id];
+      if (operation.kind !== kind) {
+        return;
+      }
+      let trace = [];
+      let result = operation.run(view, bufferByteLength, trace);
+      let row = $body.insertRow();
+      let $link = document.createElement('a');
+      $link.setAttribute('href', makeLinkToId(id));
+      $link.textContent = operation.name;
+      row.insertCell().appendChild($link);
+      let $result = row.insertCell();
+      $result.textContent = String(result);
+      $result.classList.toggle(
+        'bounds-calculator-oob',
+        result === true || result === 'out-of-bounds'
+      );
+      let $steps = document.createElement('ul');
+      trace.forEach(([step, text]) => {
+        let $step = document.createElement('li');
+        $step.textContent = `${step}. ${text}`;
+        $steps.appendChild($step);
+      });
+      row.insertCell().appendChild($steps);
+    });
+  },
+};
+
+// Step references for the outcomes of the race explorer's operations.
+let RACE_STEPS = {
+  growFailed: [
+    ['sec-sharedarraybuffer.prototype.grow', '13'],
+    ['sec-sharedarraybuffer.prototype.grow', '24'],
+  ],
+  growSame: [['sec-sharedarraybuffer.prototype.grow', '19.a']],
+  grown: [['sec-sharedarraybuffer.prototype.grow', '18.d']],
+  byteLength: [
+    ['sec-get-sharedarraybuffer.prototype.bytelength', '4'],
+    ['sec-arraybufferlength', '1.b'],
+  ],
+  storeValidate: [['sec-validatetypedarray', '6']],
+  storeOutOfBounds: [
+    ['sec-isintegerindexedobjectoutofbounds', '7'],
+    ['sec-validatetypedarray', '6'],
+  ],
+  accessOutOfRange: [
+    ['sec-validateatomicaccess', '2'],
+    ['sec-validateatomicaccess', '6'],
+  ],
+  storeOutOfBoundsLate: [
+    ['sec-atomics.store', '8'],
+    ['sec-atomics.store', '9'],
+  ],
+  storeOutOfRange: [
+    ['sec-atomics.store', '8'],
+    ['sec-atomics.store', '10'],
+  ],
+  stored: [
+    ['sec-atomics.store', '8'],
+    ['sec-atomics.store', '12'],
+  ],
+};
+
+// Enumerates the interleavings of a few agents operating on one growable SharedArrayBuffer and
+// a length-tracking TypedArray on it. Every ~SeqCst~ access of the byte length is a point where
+// agents may interleave. An ~Unordered~ read may see any length written so far that is no older
+// than one its agent has already observed. Each operation behaves as if wrapped in try/catch.
+let raceExplorer = {
+  MAX_INTERLEAVINGS: 20000,
+
+  init() {
+    let $clause = document.getElementById('sec-sharedarraybuffer.prototype.grow');
+    let $alg = $clause && [...$clause.children].find($child => $child.nodeName === 'EMU-ALG');
+    if ($alg == null) {
+      return;
+    }
+    this.$container = document.createElement('details');
+    this.$container.classList.add('race-explorer');
+    // prettier-ignore
+    this.$container.innerHTML = `<summary>Race explorer</summary><p>One operation per line: <code>grow 16</code>, <code>byteLength</code>, or <code>store 3</code> for <code>Atomics.store(ta, 3, 1)</code> through a length-tracking TypedArray <code>ta</code>.</p><div class="race-explorer-inputs"><label>byteLength <input type="number" min="0" data-field="byteLength" value="8"></label><label>maxByteLength <input type="number" min="0" data-field="maxByteLength" value="32"></label><label>ta byteOffset <input type="number" min="0" data-field="byteOffset" value="0"></label><label>ta element size <select data-field="elementSize"><option>1</option><option>2</option><option selected>4</option><option>8</option></select></label></div><div class="race-explorer-agents"><label>agent A<textarea data-agent>grow 16</textarea></label><label>agent B<textarea data-agent>byteLength</textarea></label><label>agent C<textarea data-agent>store 3</textarea></label></div><button>explore</button><div class="race-explorer-results"></div>`;
+    this.$results = this.$container.querySelector('.race-explorer-results');
+    this.$container.querySelector('button').addEventListener('click', () => {
+      this.run();
+    });
+    $clause.insertBefore(this.$container, $alg);
+  },
+
+  open() {
+    if (this.$container == null) {
+      return;
+    }
+    this.$container.open = true;
+    this.$container.scrollIntoView();
+  },
+
+  field(name) {
+    return Number(this.$container.querySelector(`[data-field="${name}"]`).value);
+  },
+
+  // Each operation becomes one or more events; the agents' events can interleave arbitrarily.
+  parseAgent(source, name) {
+    let ops = [];
+    source.split('\n').forEach(line => {
+      let parts = line.trim().split(/\s+/);
+      if (parts[0] === '') {
+        return;
+      }
+      let arg = Number(parts[1]);
+      if (parts[0] === 'grow' && Number.isInteger(arg)) {
+        ops.push({ label: `grow(${arg})`, events: [{ kind: 'grow', n: arg }] });
+      } else if (parts[0] === 'byteLength' && parts.length === 1) {
+        ops.push({ label: 'byteLength', events: [{ kind: 'byteLength' }] });
+      } else if (parts[0] === 'store' && Number.isInteger(arg) && arg >= 0) {
+        ops.push({
+          label: `Atomics.store(ta, ${arg}, 1)`,
+          events: [
+            { kind: 'store-validate', label: 'ValidateTypedArray' },
+            { kind: 'store-access', label: 'ValidateAtomicAccess', index: arg },
+            { kind: 'store-check', label: 'bounds check', index: arg },
+          ],
+        });
+      } else {
+        throw new Error(`agent ${name}: cannot parse "${line.trim()}"`);
+      }
+    });
+    return ops;
+  },
+
+  run() {
+    let agents;
+    try {
+      agents = [...this.$container.querySelectorAll('[data-agent]')]
+        .map(($input, i) => ({ name: 'ABC'[i], ops: this.parseAgent($input.value, 'ABC'[i]) }))
+        .filter(agent => agent.ops.length > 0);
+    } catch (e) {
+      this.$results.textContent = e.message;
+      return;
+    }
+    this.config = {
+      maxByteLength: this.field('maxByteLength'),
+      byteOffset: this.field('byteOffset'),
+      elementSize: this.field('elementSize'),
+    };
+    this.outcomes = new Map();
+    this.interleavings = 0;
+    let initial = this.field('byteLength');
+    this.explore(agents, {
+      positions: agents.map(() => ({ op: 0, event: 0 })),
+      length: initial,
+      written: [initial],
+      observed: agents.map(() => initial),
+      results: agents.map(() => []),
+      steps: [],
+      order: [],
+    });
+    this.render(agents);
+  },
+
+  explore(agents, state) {
+    if (this.interleavings >= this.MAX_INTERLEAVINGS) {
+      return;
+    }
+    let runnable = agents
+      .map((agent, i) => i)
+      .filter(i => state.positions[i].op < agents[i].ops.length);
+    if (runnable.length === 0) {
+      this.interleavings++;
+      this.record(agents, state);
+      return;
+    }
+    runnable.forEach(i => {
+      let op = agents[i].ops[state.positions[i].op];
+      let event = op.events[state.positions[i].event];
+      this.step(state, i, agents[i].name, op, event).forEach(next => {
+        this.explore(agents, next);
+      });
+    });
+  },
+
+  // Returns the possible successor states after agent `i`, named `name`, performs `event`.
+  step(state, i, name, op, event) {
+    let { maxByteLength, byteOffset, elementSize } = this.config;
+    let successor = (changes, result, steps) => {
+      let next = Object.assign({}, state, changes);
+      next.positions = state.positions.slice();
+      next.observed = changes.observed || state.observed;
+      next.order = state.order.concat(
+        `${name}: ${op.label}` + (event.label ? ` (${event.label})` : '')
+      );
+      let position = state.positions[i];
+      if (result !== undefined) {
+        next.positions[i] = { op: position.op + 1, event: 0 };
+        next.results = state.results.slice();
+        next.results[i] = state.results[i].concat(`${op.label} → ${result}`);
+      } else {
+        next.positions[i] = { op: position.op, event: position.event + 1 };
+      }
+      next.steps = state.steps.concat(steps || []);
+      return next;
+    };
+    let observe = length => {
+      let observed = state.observed.slice();
+      observed[i] = length;
+      return observed;
+    };
+
+    switch (event.kind) {
+      case 'grow': {
+        let current = state.length;
+        if (event.n < current || event.n > maxByteLength) {
+          return [successor({ observed: observe(current) }, 'RangeError', RACE_STEPS.growFailed)];
+        } else if (event.n === current) {
+          return [successor({ observed: observe(current) }, 'undefined', RACE_STEPS.growSame)];
+        }
+        return [
+          successor(
+            { length: event.n, written: state.written.concat(event.n), observed: observe(event.n) },
+            'undefined',
+            RACE_STEPS.grown
+          ),
+        ];
+      }
+      case 'byteLength':
+        return [
+          successor({ observed: observe(state.length) }, state.length, RACE_STEPS.byteLength),
+        ];
+      case 'store-validate':
+        // ta tracks the buffer's length, so it is out of bounds exactly when it starts past the end
+        if (byteOffset > state.length) {
+          return [
+            successor(
+              { observed: observe(state.length) },
+              'TypeError',
+              RACE_STEPS.storeOutOfBounds
+            ),
+          ];
+        }
+        return [
+          successor({ observed: observe(state.length) }, undefined, RACE_STEPS.storeValidate),
+        ];
+      case 'store-access':
+      case 'store-check': {
+        let candidates = state.written.filter(length => length >= state.observed[i]);
+        return [...new Set(candidates)].map(bufferByteLength => {
+          // Lengths only grow and no agent reads one older than it has seen, so once
+          // ValidateTypedArray has passed, ta stays in bounds as ValidateAtomicAccess step 3
+          // asserts; Atomics.store step 9 is modelled all the same.
+          if (event.kind === 'store-check' && bufferByteLength < byteOffset) {
+            return successor(
+              { observed: observe(bufferByteLength) },
+              'TypeError',
+              RACE_STEPS.storeOutOfBoundsLate
+            );
+          }
+          let length = Math.floor((bufferByteLength - byteOffset) / elementSize);
+          // ValidateAtomicAccess compares the element index against the length, but Atomics.store
+          // step 10 compares the byte index it returned, as the spec text is written
+          let index =
+            event.kind === 'store-access' ? event.index : event.index * elementSize + byteOffset;
+          if (index >= length) {
+            let steps =
+              event.kind === 'store-access'
+                ? RACE_STEPS.accessOutOfRange
+                : RACE_STEPS.storeOutOfRange;
+            return successor({ observed: observe(bufferByteLength) }, 'RangeError', steps);
+          }
+          return successor(
+            { observed: observe(bufferByteLength) },
+            event.kind === 'store-check' ? 'stored' : undefined,
+            event.kind === 'store-check' ? RACE_STEPS.stored : []
+          );
+        });
+      }
+    }
+    return [];
+  },
+
+  record(agents, state) {
+    let key = state.results
+      .map((results, i) => agents[i].name + ': ' + results.join(', '))
+      .join('\n');
+    let outcome = this.outcomes.get(key);
+    if (outcome == null) {
+      outcome = {
+        key,
+        count: 0,
+        example: state.order,
+        steps: new Map(),
+        finalLength: state.length,
+      };
+      this.outcomes.set(key, outcome);
+    }
+    outcome.count++;
+    state.steps.forEach(([clauseId, step]) => {
+      outcome.steps.set(clauseId + ':' + step, [clauseId, step]);
+    });
+  },
+
+  render(agents) {
+    this.$results.textContent = '';
+    let $summary = document.createElement('p');
+    $summary.textContent =
+      `${this.outcomes.size} allowed outcome(s) over ${this.interleavings} interleaving(s)` +
+      (this.interleavings >= this.MAX_INTERLEAVINGS ? ' (stopped early)' : '');
+    this.$results.appendChild($summary);
+
+    let $table = document.createElement('table');
+    let $body = $table.createTBody();
+    this.outcomes.forEach(outcome => {
+      let row = $body.insertRow();
+      let $outcome = row.insertCell();
+      $outcome.classList.add('race-explorer-outcome');
+      $outcome.textContent = outcome.key + `\nfinal byteLength: ${outcome.finalLength}`;
+      row.insertCell().textContent = `${outcome.count}×, e.g. ${outcome.example.join(' ; ')}`;
+      let $steps = row.insertCell();
+      outcome.steps.forEach(([clauseId, step]) => {
+        let entry = menu.search.biblio.byId[clauseId];
+        let $link = document.createElement('a');
+        $link.setAttribute('href', makeStepLink(clauseId, step));
+        $link.textContent = (entry && entry.number ? entry.number : clauseId) + ' step ' + step;
+        $steps.appendChild($link);
+        $steps.appendChild(document.createTextNode(' '));
+      });
+    });
+    this.$results.appendChild($table);
+  },
+};
+
+// Element types of the TypedArray constructors, with their element sizes.
+let TRACE_ELEMENT_TYPES = {
+  Int8Array: ['Int8', 1],
+  Uint8Array: ['Uint8', 1],
+  Uint8ClampedArray: ['Uint8C', 1],
+  Int16Array: ['Int16', 2],
+  Uint16Array: ['Uint16', 2],
+  Int32Array: ['Int32', 4],
+  Uint32Array: ['Uint32', 4],
+  BigInt64Array: ['BigInt64', 8],
+  BigUint64Array: ['BigUint64', 8],
+  Float32Array: ['Float32', 4],
+  Float64Array: ['Float64', 8],
+};
+
+// A model of the built-ins this proposal changes, for the step tracer. Each step of an algorithm
+// in this document that runs is appended to `trace` as { clauseId, step, depth }, numbered as in
+// the inline diff; deleted steps and NOTEs are never recorded. Operations the proposal leaves
+// alone, such as IntegerIndexedElementGet or ArrayBuffer.prototype.byteLength, run untraced.
+function createTraceRealm(trace, limit) {
+  let slots = new WeakMap();
+  let depth = 0;
+  let recording = true;
+  let call = (clauseId, run) => {
+    depth++;
+    try {
+      return run((...steps) => {
+        steps.forEach(step => {
+          if (recording && trace.length < limit) {
+            trace.push({ clauseId, step, depth });
+          }
+        });
+      });
+    } finally {
+      depth--;
+    }
+  };
+
+  let requireSlot = (O, slot) => {
+    let record = O !== null && typeof O === 'object' ? slots.get(O) : null;
+    if (record == null || !(slot in record)) {
+      throw new TypeError(`object does not have a [[${slot}]] internal slot`);
+    }
+    return record;
+  };
+  let isDetached = buffer => slots.get(buffer).ArrayBufferData === null;
+  let isShared = buffer => slots.get(buffer).shared;
+  let toIntegerOrInfinity = value => Math.trunc(Number(value)) || 0;
+  let toIndex = value => {
+    let integer = value === undefined ? 0 : toIntegerOrInfinity(value);
+    if (integer < 0 || integer > Number.MAX_SAFE_INTEGER) {
+      throw new RangeError('index out of range');
+    }
+    return integer;
+  };
+  let toBigInt = value => {
+    if (typeof value === 'number') {
+      throw new TypeError('cannot convert a Number to a BigInt');
+    }
+    return BigInt(value);
+  };
+  let toNumeric = (type, value) => (type.startsWith('Big') ? toBigInt(value) : Number(value));
+  // The "If relative is -∞ … Else if relative < 0 … Else …" steps that clamp a relative index.
+  let clampRelative = (step, steps, relative, len) => {
+    step(steps[0]);
+    if (relative === -Infinity) {
+      return 0;
+    }
+    step(steps[1]);
+    if (relative < 0) {
+      return Math.max(len + relative, 0);
+    }
+    step(steps[2]);
+    return Math.min(relative, len);
+  };
+  let getValueFromBuffer = (buffer, byteIndex, type, isLittleEndian) => {
+    let block = slots.get(buffer).ArrayBufferData;
+    let view = new DataView(block.buffer);
+    return view['get' + (type === 'Uint8C' ? 'Uint8' : type)](byteIndex, isLittleEndian);
+  };
+  let setValueInBuffer = (buffer, byteIndex, type, value, isLittleEndian) => {
+    let block = slots.get(buffer).ArrayBufferData;
+    let view = new DataView(block.buffer);
+    if (type === 'Uint8C') {
+      view.setUint8(byteIndex, Uint8ClampedArray.of(value)[0]);
+    } else {
+      view['set' + type](byteIndex, value, isLittleEndian);
+    }
+  };
+  let defineGetter = (object, name, get) => {
+    Object.defineProperty(object, name, { get, configurable: true });
+  };
+  let defineMethod = (object, name, method) => {
+    Object.defineProperty(object, name, { value: method, writable: true, configurable: true });
+  };
+
+  let realm = {};
+
+  function DetachArrayBuffer(arrayBuffer, key) {
+    return call('sec-detacharraybuffer', step => {
+      let record = slots.get(arrayBuffer);
+      step('1', '2', '3');
+      if (record.ArrayBufferDetachKey !== key) {
+        throw new TypeError('detach key mismatch');
+      }
+      step('4', '5', '6');
+      record.ArrayBufferData = null;
+      record.ArrayBufferByteLength = 0;
+    });
+  }
+
+  function AllocateArrayBuffer(constructor, byteLength, maxByteLength = 'empty') {
+    return call('sec-allocatearraybuffer', step => {
+      step('1', '2');
+      if (maxByteLength !== 'empty') {
+        step('2.a');
+        if (byteLength > maxByteLength) {
+          throw new RangeError('byteLength exceeds maxByteLength');
+        }
+        step('2.b');
+      }
+      step('3');
+      let obj = Object.create(constructor.prototype);
+      let record = {
+        ArrayBufferData: null,
+        ArrayBufferByteLength: 0,
+        ArrayBufferDetachKey: undefined,
+        shared: false,
+      };
+      slots.set(obj, record);
+      step('4', '5', '6');
+      record.ArrayBufferData = new Uint8Array(byteLength);
+      record.ArrayBufferByteLength = byteLength;
+      step('7');
+      if (maxByteLength !== 'empty') {
+        step('7.a', '7.c');
+        record.ArrayBufferMaxByteLength = maxByteLength;
+      }
+      step('8');
+      return obj;
+    });
+  }
+
+  function ArrayBufferByteLength(arrayBuffer, order) {
+    return call('sec-arraybufferlength', step => {
+      let record = slots.get(arrayBuffer);
+      step('1');
+      if (record.shared && 'ArrayBufferByteLengthData' in record) {
+        step('1.a', '1.b');
+        return record.ArrayBufferByteLengthData;
+      }
+      step('2', '3');
+      return record.ArrayBufferByteLength;
+    });
+  }
+
+  function MakeIdempotentArrayBufferByteLengthGetter(order) {
+    return call('sec-makeidempotentarraybufferbytelengthgetter', step => {
+      step('2', '3', '4');
+      let lengthStorage = { ArrayBuffer: 'empty', ByteLength: 'empty' };
+      return buffer =>
+        call('sec-makeidempotentarraybufferbytelengthgetter', step => {
+          step('3.a');
+          if (lengthStorage.ByteLength === 'empty') {
+            step('3.a.i', '3.a.ii', '3.a.iii');
+            lengthStorage.ArrayBuffer = buffer;
+            lengthStorage.ByteLength = ArrayBufferByteLength(buffer, order);
+          }
+          step('3.b', '3.c');
+          return lengthStorage.ByteLength;
+        });
+    });
+  }
+
+  function IsResizableArrayBuffer(arrayBuffer) {
+    return call('sec-isresizablearraybuffer', step => {
+      step('1');
+      if ('ArrayBufferMaxByteLength' in slots.get(arrayBuffer)) {
+        return true;
+      }
+      step('2');
+      return false;
+    });
+  }
+
+  function GetArrayBufferMaxByteLengthOption(options) {
+    return call('sec-getarraybuffermaxbytelengthoption', step => {
+      step('1');
+      if (options === null || (typeof options !== 'object' && typeof options !== 'function')) {
+        return 'empty';
+      }
+      step('2', '3');
+      let maxByteLength = options.maxByteLength;
+      if (maxByteLength === undefined) {
+        return 'empty';
+      }
+      step('4');
+      return toIndex(maxByteLength);
+    });
+  }
+
+  realm.ArrayBuffer = function ArrayBuffer(length, options) {
+    return call('sec-arraybuffer-length', step => {
+      step('1');
+      if (new.target === undefined) {
+        throw new TypeError("Constructor ArrayBuffer requires 'new'");
+      }
+      step('2');
+      let byteLength = toIndex(length);
+      step('3');
+      let requestedMaxByteLength = GetArrayBufferMaxByteLengthOption(options);
+      step('4');
+      return AllocateArrayBuffer(new.target, byteLength, requestedMaxByteLength);
+    });
+  };
+  let requireArrayBuffer = (O, slot, step) => {
+    step('1', '2');
+    let record = requireSlot(O, slot);
+    step('3');
+    if (record.shared) {
+      throw new TypeError('not an ArrayBuffer');
+    }
+    return record;
+  };
+  defineGetter(realm.ArrayBuffer.prototype, 'byteLength', function () {
+    let record = requireSlot(this, 'ArrayBufferData');
+    if (record.shared) {
+      throw new TypeError('not an ArrayBuffer');
+    }
+    return record.ArrayBufferData === null ? 0 : record.ArrayBufferByteLength;
+  });
+  defineGetter(realm.ArrayBuffer.prototype, 'maxByteLength', function () {
+    return call('sec-get-arraybuffer.prototype.maxbytelength', step => {
+      let record = requireArrayBuffer(this, 'ArrayBufferData', step);
+      step('4');
+      if (isDetached(this)) {
+        return 0;
+      }
+      step('5');
+      if (IsResizableArrayBuffer(this)) {
+        step('5.a', '7');
+        return record.ArrayBufferMaxByteLength;
+      }
+      step('6', '6.a', '7');
+      return record.ArrayBufferByteLength;
+    });
+  });
+  defineGetter(realm.ArrayBuffer.prototype, 'resizable', function () {
+    return call('sec-get-arraybuffer.prototype.resizable', step => {
+      requireArrayBuffer(this, 'ArrayBufferData', step);
+      step('4');
+      return IsResizableArrayBuffer(this);
+    });
+  });
+  defineMethod(realm.ArrayBuffer.prototype, 'slice', function (start, end) {
+    return call('sec-arraybuffer.prototype.slice', step => {
+      let record = requireArrayBuffer(this, 'ArrayBufferData', step);
+      step('4');
+      if (isDetached(this)) {
+        throw new TypeError('ArrayBuffer is detached');
+      }
+      step('5', '6');
+      let len = record.ArrayBufferByteLength;
+      let first = clampRelative(step, ['7', '8', '9'], toIntegerOrInfinity(start), len);
+      step('10');
+      let relativeEnd = end === undefined ? len : toIntegerOrInfinity(end);
+      let final = clampRelative(step, ['11', '12', '13'], relativeEnd, len);
+      step('14', '15', '16');
+      let newLen = Math.max(final - first, 0);
+      let created = new realm.ArrayBuffer(newLen);
+      step('17', '18', '19', '20', '21', '23');
+      if (isDetached(this)) {
+        throw new TypeError('ArrayBuffer is detached');
+      }
+      step('24', '25', '26');
+      if (first < record.ArrayBufferByteLength) {
+        step('26.a');
+        let count = Math.min(record.ArrayBufferByteLength, newLen);
+        slots
+          .get(created)
+          .ArrayBufferData.set(record.ArrayBufferData.subarray(first, first + count));
+      }
+      step('27');
+      return created;
+    });
+  });
+  defineMethod(realm.ArrayBuffer.prototype, 'resize', function (newLength) {
+    return call('sec-arraybuffer.prototype.resize', step => {
+      let record = requireArrayBuffer(this, 'ArrayBufferMaxByteLength', step);
+      step('4');
+      if (isDetached(this)) {
+        throw new TypeError('ArrayBuffer is detached');
+      }
+      step('5', '6');
+      let newByteLength = toIntegerOrInfinity(newLength);
+      if (newByteLength < 0 || newByteLength > record.ArrayBufferMaxByteLength) {
+        throw new RangeError('invalid length');
+      }
+      step('7', '8', '9', '10', '11', '12', '14', '15', '16');
+      let newBlock = new Uint8Array(newByteLength);
+      newBlock.set(record.ArrayBufferData.subarray(0, newByteLength));
+      record.ArrayBufferData = newBlock;
+      record.ArrayBufferByteLength = newByteLength;
+    });
+  });
+
+  function AllocateSharedArrayBuffer(constructor, byteLength, maxByteLength = 'empty') {
+    return call('sec-allocatesharedarraybuffer', step => {
+      step('1', '2');
+      if (maxByteLength !== 'empty') {
+        step('2.a');
+        if (byteLength > maxByteLength) {
+          throw new RangeError('byteLength exceeds maxByteLength');
+        }
+        step('2.b');
+      } else {
+        step('3');
+      }
+      step('4', '5');
+      let obj = Object.create(constructor.prototype);
+      let record = { ArrayBufferData: null, shared: true };
+      slots.set(obj, record);
+      let allocLength = byteLength;
+      if (maxByteLength !== 'empty') {
+        allocLength = maxByteLength;
+      } else {
+        step('6');
+      }
+      step('7', '9', '10');
+      record.ArrayBufferData = new Uint8Array(allocLength);
+      if (maxByteLength !== 'empty') {
+        step('10.a', '10.b', '10.c', '10.d', '10.e');
+        record.ArrayBufferByteLengthData = byteLength;
+        record.ArrayBufferMaxByteLength = maxByteLength;
+      } else {
+        step('11', '11.a');
+        record.ArrayBufferByteLength = byteLength;
+      }
+      step('12');
+      return obj;
+    });
+  }
+
+  realm.SharedArrayBuffer = function SharedArrayBuffer(length, options) {
+    return call('sec-sharedarraybuffer-length', step => {
+      step('1');
+      if (new.target === undefined) {
+        throw new TypeError("Constructor SharedArrayBuffer requires 'new'");
+      }
+      step('2');
+      let byteLength = toIndex(length);
+      step('3');
+      let requestedMaxByteLength = GetArrayBufferMaxByteLengthOption(options);
+      step('4');
+      return AllocateSharedArrayBuffer(new.target, byteLength, requestedMaxByteLength);
+    });
+  };
+  let requireSharedArrayBuffer = (O, slot, step) => {
+    step('1', '2');
+    let record = requireSlot(O, slot);
+    step('3');
+    if (!record.shared) {
+      throw new TypeError('not a SharedArrayBuffer');
+    }
+    return record;
+  };
+  defineGetter(realm.SharedArrayBuffer.prototype, 'byteLength', function () {
+    return call('sec-get-sharedarraybuffer.prototype.bytelength', step => {
+      requireSharedArrayBuffer(this, 'ArrayBufferData', step);
+      step('4');
+      let length = ArrayBufferByteLength(this, 'SeqCst');
+      step('5');
+      return length;
+    });
+  });
+  defineGetter(realm.SharedArrayBuffer.prototype, 'growable', function () {
+    return call('sec-get-sharedarraybuffer.prototype.growable', step => {
+      requireSharedArrayBuffer(this, 'ArrayBufferData', step);
+      step('4');
+      return IsResizableArrayBuffer(this);
+    });
+  });
+  defineGetter(realm.SharedArrayBuffer.prototype, 'maxByteLength', function () {
+    return call('sec-get-sharedarraybuffer.prototype.maxbytelength', step => {
+      let record = requireSharedArrayBuffer(this, 'ArrayBufferData', step);
+      step('4');
+      if (IsResizableArrayBuffer(this)) {
+        step('4.a', '6');
+        return record.ArrayBufferMaxByteLength;
+      }
+      step('5', '5.a', '6');
+      return record.ArrayBufferByteLength;
+    });
+  });
+  defineMethod(realm.SharedArrayBuffer.prototype, 'grow', function (newLength) {
+    return call('sec-sharedarraybuffer.prototype.grow', step => {
+      let record = requireSharedArrayBuffer(this, 'ArrayBufferMaxByteLength', step);
+      step('4');
+      let newByteLength = toIntegerOrInfinity(newLength);
+      step('5', '6', '7', '9', '10', '11', '12', '13');
+      let currentByteLength = record.ArrayBufferByteLengthData;
+      let growFailed =
+        newByteLength < currentByteLength || newByteLength > record.ArrayBufferMaxByteLength;
+      step('14', '15', '18');
+      if (!growFailed && newByteLength !== currentByteLength) {
+        step('18.b', '18.c', '18.d');
+        record.ArrayBufferByteLengthData = newByteLength;
+      } else {
+        step('19', '19.a');
+      }
+      step('20', '21', '22', '23', '24');
+      if (growFailed) {
+        throw new RangeError('invalid length');
+      }
+      step('25');
+    });
+  });
+  defineMethod(realm.SharedArrayBuffer.prototype, 'slice', function (start, end) {
+    return call('sec-sharedarraybuffer.prototype.slice', step => {
+      let record = requireSharedArrayBuffer(this, 'ArrayBufferData', step);
+      step('4');
+      let len = ArrayBufferByteLength(this, 'SeqCst');
+      step('5');
+      let first = clampRelative(step, ['6', '7', '8'], toIntegerOrInfinity(start), len);
+      step('9');
+      let relativeEnd = end === undefined ? len : toIntegerOrInfinity(end);
+      let final = clampRelative(step, ['10', '11', '12'], relativeEnd, len);
+      step('13', '14', '15');
+      let newLen = Math.max(final - first, 0);
+      let created = new realm.SharedArrayBuffer(newLen);
+      step('16', '18', '19', '20', '21', '22', '23');
+      slots
+        .get(created)
+        .ArrayBufferData.set(record.ArrayBufferData.subarray(first, first + newLen));
+      step('24');
+      return created;
+    });
+  });
+
+  function IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength) {
+    return call('sec-isintegerindexedobjectoutofbounds', step => {
+      let record = slots.get(O);
+      step('1', '2');
+      if (isDetached(record.ViewedArrayBuffer)) {
+        return true;
+      }
+      step('3');
+      let bufferByteLength = getBufferByteLength(record.ViewedArrayBuffer);
+      step('4', '5');
+      let byteOffsetEnd;
+      if (record.ArrayLength === 'auto') {
+        step('5.a');
+        byteOffsetEnd = bufferByteLength;
+      } else {
+        step('6', '6.a', '6.b');
+        byteOffsetEnd = record.ByteOffset + record.ArrayLength * record.elementSize;
+      }
+      step('7');
+      if (record.ByteOffset > bufferByteLength || byteOffsetEnd > bufferByteLength) {
+        return true;
+      }
+      step('9');
+      return false;
+    });
+  }
+
+  function IntegerIndexedObjectLength(O, getBufferByteLength) {
+    return call('sec-integerindexedobjectlength', step => {
+      let record = slots.get(O);
+      step('1');
+      if (IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength)) {
+        return 'out-of-bounds';
+      }
+      step('2');
+      if (record.ArrayLength !== 'auto') {
+        return record.ArrayLength;
+      }
+      step('3', '4');
+      let bufferByteLength = getBufferByteLength(record.ViewedArrayBuffer);
+      step('5', '6', '7', '8');
+      return Math.floor((bufferByteLength - record.ByteOffset) / record.elementSize);
+    });
+  }
+
+  function IntegerIndexedObjectByteLength(O, getBufferByteLength) {
+    return call('sec-integerindexedobjectbytelength', step => {
+      let record = slots.get(O);
+      step('1');
+      let length = IntegerIndexedObjectLength(O, getBufferByteLength);
+      step('2');
+      if (length === 'out-of-bounds' || length === 0) {
+        return 0;
+      }
+      step('3');
+      if (record.ByteLength !== 'auto') {
+        return record.ByteLength;
+      }
+      step('4', '5');
+      return length * record.elementSize;
+    });
+  }
+
+  function IsValidIntegerIndex(O, index) {
+    return call('sec-isvalidintegerindex', step => {
+      step('2');
+      if (!Number.isInteger(index)) {
+        return false;
+      }
+      step('3');
+      if (Object.is(index, -0)) {
+        return false;
+      }
+      step('4');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('Unordered');
+      step('6');
+      let length = IntegerIndexedObjectLength(O, getBufferByteLength);
+      step('7');
+      if (length === 'out-of-bounds' || index < 0 || index >= length) {
+        return false;
+      }
+      step('8');
+      return true;
+    });
+  }
+
+  function IntegerIndexedElementGet(O, index) {
+    let record = slots.get(O);
+    if (!IsValidIntegerIndex(O, index)) {
+      return undefined;
+    }
+    let byteIndex = index * record.elementSize + record.ByteOffset;
+    return getValueFromBuffer(record.ViewedArrayBuffer, byteIndex, record.type, true);
+  }
+
+  function IntegerIndexedElementSet(O, index, value) {
+    let record = slots.get(O);
+    let numValue = toNumeric(record.type, value);
+    if (IsValidIntegerIndex(O, index)) {
+      let byteIndex = index * record.elementSize + record.ByteOffset;
+      setValueInBuffer(record.ViewedArrayBuffer, byteIndex, record.type, numValue, true);
+    }
+  }
+
+  function IntegerIndexedObjectOwnPropertyKeys(O) {
+    return call('sec-integer-indexed-exotic-objects-ownpropertykeys', step => {
+      let keys = [];
+      step('1', '2', '4');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('5');
+      let len = IntegerIndexedObjectLength(O, getBufferByteLength);
+      step('6');
+      if (len !== 'out-of-bounds') {
+        step('6.a');
+        for (let i = 0; i < len; i++) {
+          step('6.a.i');
+          keys.push(String(i));
+        }
+      }
+      step('7', '8', '9');
+      return keys;
+    });
+  }
+
+  function ValidateTypedArray(O) {
+    return call('sec-validatetypedarray', step => {
+      step('1');
+      let record = requireSlot(O, 'TypedArrayName');
+      step('2', '3', '5');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('6');
+      if (IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength)) {
+        throw new TypeError('TypedArray is out of bounds');
+      }
+      step('7');
+      return record.ViewedArrayBuffer;
+    });
+  }
+
+  function InitializeTypedArrayFromArrayBuffer(O, buffer, byteOffset, length) {
+    return call('sec-initializetypedarrayfromarraybuffer', step => {
+      let record = slots.get(O);
+      let elementSize = record.elementSize;
+      step('1', '2');
+      let offset = toIndex(byteOffset);
+      step('3');
+      if (offset % elementSize !== 0) {
+        throw new RangeError('start offset must be a multiple of the element size');
+      }
+      step('4');
+      let bufferIsResizable = IsResizableArrayBuffer(buffer);
+      step('5');
+      let newLength;
+      if (length !== undefined) {
+        step('5.a');
+        newLength = toIndex(length);
+      }
+      step('6');
+      if (isDetached(buffer)) {
+        throw new TypeError('ArrayBuffer is detached');
+      }
+      step('7');
+      let bufferByteLength = ArrayBufferByteLength(buffer, 'SeqCst');
+      step('8');
+      if (length === undefined && bufferIsResizable) {
+        step('8.a');
+        if (offset > bufferByteLength) {
+          throw new RangeError('start offset is outside the bounds of the buffer');
+        }
+        step('8.b', '8.c');
+        record.ByteLength = 'auto';
+        record.ArrayLength = 'auto';
+      } else {
+        step('9', '9.a');
+        let newByteLength;
+        if (length === undefined) {
+          step('9.a.i');
+          if (bufferByteLength % elementSize !== 0) {
+            throw new RangeError('buffer length must be a multiple of the element size');
+          }
+          step('9.a.ii', '9.a.iii');
+          newByteLength = bufferByteLength - offset;
+          if (newByteLength < 0) {
+            throw new RangeError('start offset is outside the bounds of the buffer');
+          }
+        } else {
+          step('9.b', '9.b.i', '9.b.ii');
+          newByteLength = newLength * elementSize;
+          if (offset + newByteLength > bufferByteLength) {
+            throw new RangeError('length is outside the bounds of the buffer');
+          }
+        }
+        step('9.d', '9.f');
+        record.ByteLength = newByteLength;
+        record.ArrayLength = newByteLength / elementSize;
+      }
+      step('10', '11', '12');
+      record.ViewedArrayBuffer = buffer;
+      record.ByteOffset = offset;
+    });
+  }
+
+  let TypedArrayPrototype = {};
+  let createTypedArray = (name, prototype) => {
+    let [type, elementSize] = TRACE_ELEMENT_TYPES[name];
+    let canonicalIndex = key =>
+      typeof key === 'string' && (key === '-0' || String(Number(key)) === key)
+        ? Number(key)
+        : undefined;
+    let O = new Proxy(Object.create(prototype), {
+      get(target, key, receiver) {
+        let index = canonicalIndex(key);
+        return index === undefined
+          ? Reflect.get(target, key, receiver)
+          : IntegerIndexedElementGet(O, index);
+      },
+      set(target, key, value, receiver) {
+        let index = canonicalIndex(key);
+        if (index === undefined || receiver !== O) {
+          return Reflect.set(target, key, value, receiver);
+        }
+        IntegerIndexedElementSet(O, index, value);
+        return true;
+      },
+      has(target, key) {
+        let index = canonicalIndex(key);
+        return index === undefined ? Reflect.has(target, key) : IsValidIntegerIndex(O, index);
+      },
+      ownKeys(target) {
+        return IntegerIndexedObjectOwnPropertyKeys(O).concat(Reflect.ownKeys(target));
+      },
+      getOwnPropertyDescriptor(target, key) {
+        let index = canonicalIndex(key);
+        if (index === undefined) {
+          return Reflect.getOwnPropertyDescriptor(target, key);
+        }
+        let value = IntegerIndexedElementGet(O, index);
+        return value === undefined
+          ? undefined
+          : { value, writable: true, enumerable: true, configurable: true };
+      },
+    });
+    slots.set(O, {
+      TypedArrayName: name,
+      ContentType: type.startsWith('Big') ? 'BigInt' : 'Number',
+      ViewedArrayBuffer: undefined,
+      ByteLength: 0,
+      ByteOffset: 0,
+      ArrayLength: 0,
+      type,
+      elementSize,
+    });
+    return O;
+  };
+  let requireTypedArray = (O, step) => {
+    step('1', '2');
+    let record = requireSlot(O, 'TypedArrayName');
+    step('3', '4');
+    return record;
+  };
+  defineGetter(TypedArrayPrototype, 'buffer', function () {
+    return requireSlot(this, 'TypedArrayName').ViewedArrayBuffer;
+  });
+  defineGetter(TypedArrayPrototype, 'byteLength', function () {
+    return call('sec-get-%typedarray%.prototype.bytelength', step => {
+      requireTypedArray(this, step);
+      step('6');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('7');
+      let size = IntegerIndexedObjectByteLength(this, getBufferByteLength);
+      step('8');
+      return size;
+    });
+  });
+  defineGetter(TypedArrayPrototype, 'byteOffset', function () {
+    return call('sec-get-%typedarray%.prototype.byteoffset', step => {
+      let record = requireTypedArray(this, step);
+      step('6');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('7');
+      if (IsIntegerIndexedObjectOutOfBounds(this, getBufferByteLength)) {
+        return 0;
+      }
+      step('8', '9');
+      return record.ByteOffset;
+    });
+  });
+  defineGetter(TypedArrayPrototype, 'length', function () {
+    return call('sec-get-%typedarray%.prototype.length', step => {
+      requireTypedArray(this, step);
+      step('6');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('7');
+      let length = IntegerIndexedObjectLength(this, getBufferByteLength);
+      step('8');
+      if (length === 'out-of-bounds') {
+        length = 0;
+      }
+      step('9');
+      return length;
+    });
+  });
+  defineMethod(TypedArrayPrototype, 'fill', function (value, start, end) {
+    return call('sec-%typedarray%.prototype.fill', step => {
+      step('1', '2');
+      let record = slots.get(this);
+      ValidateTypedArray(this);
+      step('3');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('4');
+      let len = IntegerIndexedObjectLength(this, getBufferByteLength);
+      step('5', '6');
+      if (record.ContentType === 'Number') {
+        step('7');
+      }
+      value = toNumeric(record.type, value);
+      step('8');
+      let k = clampRelative(step, ['9', '10', '11'], toIntegerOrInfinity(start), len);
+      step('12');
+      let relativeEnd = end === undefined ? len : toIntegerOrInfinity(end);
+      let final = clampRelative(step, ['13', '14', '15'], relativeEnd, len);
+      step('17');
+      getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('18');
+      len = IntegerIndexedObjectLength(this, getBufferByteLength);
+      step('19');
+      if (len === 'out-of-bounds') {
+        throw new TypeError('TypedArray is out of bounds');
+      }
+      step('20', '21');
+      final = Math.min(final, len);
+      while (k < final) {
+        step('21.a', '21.b');
+        IntegerIndexedElementSet(this, k, value);
+        step('21.c', '21');
+        k++;
+      }
+      step('22');
+      return this;
+    });
+  });
+  defineMethod(TypedArrayPrototype, 'subarray', function (begin, end) {
+    return call('sec-%typedarray%.prototype.subarray', step => {
+      let record = requireTypedArray(this, step);
+      step('5');
+      let getSrcBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('6');
+      let srcLength = IntegerIndexedObjectLength(this, getSrcBufferByteLength);
+      step('7');
+      if (srcLength === 'out-of-bounds') {
+        srcLength = 0;
+      }
+      step('8');
+      let relativeBegin = toIntegerOrInfinity(begin);
+      let beginIndex = clampRelative(step, ['9', '10', '11'], relativeBegin, srcLength);
+      step('12');
+      let newLength;
+      if (record.ArrayLength === 'auto' && end === undefined) {
+        step('12.a');
+      } else {
+        step('13', '13.a');
+        let relativeEnd = end === undefined ? srcLength : toIntegerOrInfinity(end);
+        let endIndex = clampRelative(step, ['13.b', '13.c', '13.d'], relativeEnd, srcLength);
+        step('13.e');
+        newLength = Math.max(endIndex - beginIndex, 0);
+      }
+      step('14', '15', '16', '17', '18');
+      let beginByteOffset = record.ByteOffset + beginIndex * record.elementSize;
+      let argumentsList = [record.ViewedArrayBuffer, beginByteOffset];
+      if (newLength === undefined) {
+        step('18.a');
+      } else {
+        step('19', '19.a');
+        argumentsList.push(newLength);
+      }
+      step('20');
+      let created = new realm[record.TypedArrayName](...argumentsList);
+      ValidateTypedArray(created);
+      return created;
+    });
+  });
+  Object.keys(TRACE_ELEMENT_TYPES).forEach(name => {
+    let constructor = function (first, byteOffset, length) {
+      if (new.target === undefined) {
+        throw new TypeError(`Constructor ${name} requires 'new'`);
+      }
+      let O = createTypedArray(name, new.target.prototype);
+      let record = slots.get(O);
+      let source = first !== null && typeof first === 'object' ? slots.get(first) : null;
+      if (source && 'ArrayBufferData' in source) {
+        InitializeTypedArrayFromArrayBuffer(O, first, byteOffset, length);
+      } else if (source) {
+        throw new TypeError('creating a TypedArray from another is not modelled');
+      } else {
+        let values = first !== null && typeof first === 'object' ? Array.from(first) : null;
+        let elementLength = values ? values.length : toIndex(first);
+        record.ViewedArrayBuffer = AllocateArrayBuffer(
+          realm.ArrayBuffer,
+          elementLength * record.elementSize
+        );
+        record.ByteLength = elementLength * record.elementSize;
+        record.ArrayLength = elementLength;
+        (values || []).forEach((value, i) => {
+          IntegerIndexedElementSet(O, i, value);
+        });
+      }
+      return O;
+    };
+    Object.defineProperty(constructor, 'name', { value: name });
+    constructor.BYTES_PER_ELEMENT = TRACE_ELEMENT_TYPES[name][1];
+    constructor.prototype = Object.create(TypedArrayPrototype);
+    constructor.prototype.constructor = constructor;
+    realm[name] = constructor;
+  });
+
+  function IsViewOutOfBounds(view, getBufferByteLength) {
+    return call('sec-isviewoutofbounds', step => {
+      let record = slots.get(view);
+      step('1', '2');
+      if (isDetached(record.ViewedArrayBuffer)) {
+        return true;
+      }
+      step('3');
+      let bufferByteLength = getBufferByteLength(record.ViewedArrayBuffer);
+      step('4', '5');
+      let byteOffsetEnd;
+      if (record.ByteLength === 'auto') {
+        step('5.a');
+        byteOffsetEnd = bufferByteLength;
+      } else {
+        step('6', '6.a');
+        byteOffsetEnd = record.ByteOffset + record.ByteLength;
+      }
+      step('7');
+      if (record.ByteOffset > bufferByteLength || byteOffsetEnd > bufferByteLength) {
+        return true;
+      }
+      step('9');
+      return false;
+    });
+  }
+
+  function GetViewByteLength(view, getBufferByteLength) {
+    return call('sec-getviewbytelength', step => {
+      let record = slots.get(view);
+      step('1');
+      if (IsViewOutOfBounds(view, getBufferByteLength)) {
+        return 'out-of-bounds';
+      }
+      step('2');
+      if (record.ByteLength !== 'auto') {
+        return record.ByteLength;
+      }
+      step('3', '4');
+      let bufferByteLength = getBufferByteLength(record.ViewedArrayBuffer);
+      step('5', '6', '7');
+      return bufferByteLength - record.ByteOffset;
+    });
+  }
+
+  function GetViewValue(view, requestIndex, isLittleEndian, type) {
+    return call('sec-getviewvalue', step => {
+      step('1');
+      let record = requireSlot(view, 'DataView');
+      step('2', '3');
+      let getIndex = toIndex(requestIndex);
+      step('4', '5', '7');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('Unordered');
+      step('9', '10');
+      let viewSize = GetViewByteLength(view, getBufferByteLength);
+      step('11');
+      if (viewSize === 'out-of-bounds') {
+        throw new TypeError('DataView is out of bounds');
+      }
+      step('12', '13');
+      if (getIndex + TRACE_ELEMENT_TYPES[type + 'Array'][1] > viewSize) {
+        throw new RangeError('offset is outside the bounds of the DataView');
+      }
+      step('14', '15');
+      let bufferIndex = getIndex + record.ByteOffset;
+      return getValueFromBuffer(record.ViewedArrayBuffer, bufferIndex, type, !!isLittleEndian);
+    });
+  }
+
+  function SetViewValue(view, requestIndex, isLittleEndian, type, value) {
+    return call('sec-setviewvalue', step => {
+      step('1');
+      let record = requireSlot(view, 'DataView');
+      step('2', '3');
+      let getIndex = toIndex(requestIndex);
+      step('4');
+      if (!type.startsWith('Big')) {
+        step('5');
+      }
+      let numberValue = toNumeric(type, value);
+      step('6', '7', '9');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('Unordered');
+      step('11', '12');
+      let viewSize = GetViewByteLength(view, getBufferByteLength);
+      step('13');
+      if (viewSize === 'out-of-bounds') {
+        throw new TypeError('DataView is out of bounds');
+      }
+      step('14', '15');
+      if (getIndex + TRACE_ELEMENT_TYPES[type + 'Array'][1] > viewSize) {
+        throw new RangeError('offset is outside the bounds of the DataView');
+      }
+      step('16', '17');
+      let bufferIndex = getIndex + record.ByteOffset;
+      setValueInBuffer(record.ViewedArrayBuffer, bufferIndex, type, numberValue, !!isLittleEndian);
+    });
+  }
+
+  realm.DataView = function DataView(buffer, byteOffset, byteLength) {
+    return call('sec-dataview-buffer-byteoffset-bytelength', step => {
+      step('1');
+      if (new.target === undefined) {
+        throw new TypeError("Constructor DataView requires 'new'");
+      }
+      step('2');
+      requireSlot(buffer, 'ArrayBufferData');
+      step('3');
+      let offset = toIndex(byteOffset);
+      step('4');
+      if (isDetached(buffer)) {
+        throw new TypeError('ArrayBuffer is detached');
+      }
+      step('5');
+      let bufferByteLength = ArrayBufferByteLength(buffer, 'SeqCst');
+      step('6');
+      if (offset > bufferByteLength) {
+        throw new RangeError('start offset is outside the bounds of the buffer');
+      }
+      step('7');
+      let bufferIsResizable = IsResizableArrayBuffer(buffer);
+      step('8', '9');
+      let byteLengthChecked = 'empty';
+      let viewByteLength;
+      if (bufferIsResizable && byteLength === undefined) {
+        step('9.a');
+        viewByteLength = 'auto';
+      } else {
+        step('10');
+        if (byteLength === undefined) {
+          step('10.a');
+          viewByteLength = bufferByteLength - offset;
+        } else {
+          step('11', '11.a', '11.b', '11.c');
+          byteLengthChecked = toIndex(byteLength);
+          viewByteLength = byteLengthChecked;
+          if (offset + viewByteLength > bufferByteLength) {
+            throw new RangeError('invalid DataView length');
+          }
+        }
+      }
+      step('12');
+      let O = Object.create(new.target.prototype);
+      let record = { DataView: true, ViewedArrayBuffer: undefined, ByteLength: 0, ByteOffset: 0 };
+      slots.set(O, record);
+      step('13');
+      if (isDetached(buffer)) {
+        throw new TypeError('ArrayBuffer is detached');
+      }
+      step('14');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+      step('15');
+      bufferByteLength = getBufferByteLength(buffer);
+      step('16');
+      if (offset > bufferByteLength) {
+        throw new RangeError('start offset is outside the bounds of the buffer');
+      }
+      step('17');
+      if (byteLengthChecked !== 'empty') {
+        step('17.a');
+        if (offset + viewByteLength > bufferByteLength) {
+          throw new RangeError('invalid DataView length');
+        }
+      }
+      step('18', '19', '20', '21');
+      record.ViewedArrayBuffer = buffer;
+      record.ByteLength = viewByteLength;
+      record.ByteOffset = offset;
+      return O;
+    });
+  };
+  let requireDataView = (O, step) => {
+    step('1', '2');
+    let record = requireSlot(O, 'DataView');
+    step('3', '4', '6');
+    let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('SeqCst');
+    step('7');
+    if (IsViewOutOfBounds(O, getBufferByteLength)) {
+      throw new TypeError('DataView is out of bounds');
+    }
+    return { record, getBufferByteLength };
+  };
+  defineGetter(realm.DataView.prototype, 'buffer', function () {
+    return requireSlot(this, 'DataView').ViewedArrayBuffer;
+  });
+  defineGetter(realm.DataView.prototype, 'byteLength', function () {
+    return call('sec-get-dataview.prototype.bytelength', step => {
+      let { getBufferByteLength } = requireDataView(this, step);
+      step('8');
+      let size = GetViewByteLength(this, getBufferByteLength);
+      step('9');
+      return size;
+    });
+  });
+  defineGetter(realm.DataView.prototype, 'byteOffset', function () {
+    return call('sec-get-dataview.prototype.byteoffset', step => {
+      let { record } = requireDataView(this, step);
+      step('8', '9');
+      return record.ByteOffset;
+    });
+  });
+  let DataViewPrototype = realm.DataView.prototype;
+  ['Int8', 'Uint8', 'Int16', 'Uint16', 'Int32', 'Uint32']
+    .concat('Float32', 'Float64', 'BigInt64', 'BigUint64')
+    .forEach(type => {
+      defineMethod(DataViewPrototype, 'get' + type, function (byteOffset, littleEndian) {
+        return GetViewValue(this, byteOffset, littleEndian, type);
+      });
+      defineMethod(DataViewPrototype, 'set' + type, function (byteOffset, value, littleEndian) {
+        return SetViewValue(this, byteOffset, littleEndian, type, value);
+      });
+    });
+
+  function ValidateAtomicAccess(typedArray, requestIndex) {
+    return call('sec-validateatomicaccess', step => {
+      let record = slots.get(typedArray);
+      step('1');
+      let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('Unordered');
+      step('2');
+      let length = IntegerIndexedObjectLength(typedArray, getBufferByteLength);
+      step('3', '4');
+      let accessIndex = toIndex(requestIndex);
+      step('5', '6');
+      if (accessIndex >= length) {
+        throw new RangeError('index out of range');
+      }
+      step('7', '8', '9', '10');
+      return accessIndex * record.elementSize + record.ByteOffset;
+    });
+  }
+
+  realm.Atomics = {
+    store(typedArray, index, value) {
+      return call('sec-atomics.store', step => {
+        step('1');
+        // ValidateIntegerTypedArray
+        let buffer = ValidateTypedArray(typedArray);
+        let record = slots.get(typedArray);
+        if (record.type === 'Uint8C' || record.type.startsWith('Float')) {
+          throw new TypeError('not an integer TypedArray');
+        }
+        step('2');
+        let indexedPosition = ValidateAtomicAccess(typedArray, index);
+        step('3');
+        if (record.ContentType === 'Number') {
+          step('4');
+        }
+        let v = record.ContentType === 'BigInt' ? toBigInt(value) : toIntegerOrInfinity(value);
+        step('6');
+        let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter('Unordered');
+        step('8');
+        let length = IntegerIndexedObjectLength(typedArray, getBufferByteLength);
+        step('9');
+        if (length === 'out-of-bounds') {
+          throw new TypeError('TypedArray is out of bounds');
+        }
+        step('10');
+        if (indexedPosition >= length) {
+          throw new RangeError('index out of range');
+        }
+        step('11', '12', '13');
+        setValueInBuffer(buffer, indexedPosition, record.type, v, true);
+        return v;
+      });
+    },
+  };
+
+  // Stands in for the host operations that detach, such as transferring to a worker.
+  realm.detach = buffer => {
+    let record = requireSlot(buffer, 'ArrayBufferData');
+    if (record.shared) {
+      throw new TypeError('SharedArrayBuffers cannot be detached');
+    }
+    DetachArrayBuffer(buffer, undefined);
+  };
+
+  let describe = value => {
+    let record = value !== null && typeof value === 'object' ? slots.get(value) : null;
+    if (record && 'ArrayBufferData' in record) {
+      let name = record.shared ? 'SharedArrayBuffer' : 'ArrayBuffer';
+      if (record.ArrayBufferData === null) {
+        return `${name} (detached)`;
+      }
+      let max = 'ArrayBufferMaxByteLength' in record;
+      return (
+        `${name} { byteLength: ${ArrayBufferByteLength(value)}` +
+        (max ? `, maxByteLength: ${record.ArrayBufferMaxByteLength}` : '') +
+        ' }'
+      );
+    } else if (record && 'TypedArrayName' in record) {
+      let length = IntegerIndexedObjectLength(value, MakeIdempotentArrayBufferByteLengthGetter());
+      if (length === 'out-of-bounds') {
+        return `${record.TypedArrayName} (out of bounds)`;
+      }
+      let elements = Array.from({ length }, (x, i) => describe(value[i]));
+      return `${record.TypedArrayName}(${length}) [${elements.join(', ')}]`;
+    } else if (record && 'DataView' in record) {
+      let size = GetViewByteLength(value, MakeIdempotentArrayBufferByteLengthGetter());
+      return size === 'out-of-bounds'
+        ? 'DataView (out of bounds)'
+        : `DataView { byteOffset: ${record.ByteOffset}, byteLength: ${size} }`;
+    } else if (typeof value === 'bigint') {
+      return value + 'n';
+    } else if (typeof value === 'string') {
+      return JSON.stringify(value);
+    } else if (Array.isArray(value)) {
+      return `[${value.map(describe).join(', ')}]`;
+    }
+    return String(value);
+  };
+
+  return {
+    globals: realm,
+    describe(value) {
+      recording = false;
+      try {
+        return describe(value);
+      } finally {
+        recording = true;
+      }
+    },
+  };
+}
+
+let stepTracer = {
+  MAX_STEPS: 5000,
+
+  init() {
+    this.$container = document.createElement('div');
+    this.$container.setAttribute('id', 'step-tracer');
+    // prettier-ignore
+    this.$container.innerHTML = `<div class="step-tracer-header"><span>Step tracer</span><span id="step-tracer-close"></span></div><textarea id="step-tracer-input" spellcheck="false">new Uint8Array(new ArrayBuffer(8, { maxByteLength: 16 })).fill(1)</textarea><div class="step-tracer-controls"><button id="step-tracer-run">trace</button> <button id="step-tracer-previous" title="previous step">◀</button> <button id="step-tracer-next" title="next step">▶</button> <span id="step-tracer-status"></span></div><div id="step-tracer-result">Runs against a model of <code>ArrayBuffer</code>, <code>SharedArrayBuffer</code>, the TypedArray constructors, <code>DataView</code> and <code>Atomics.store</code>. <code>detach(buffer)</code> detaches a buffer. Use <code>return</code> to show a value from several statements.</div><ol id="step-tracer-steps"></ol>`;
+    this.$input = this.$container.querySelector('#step-tracer-input');
+    this.$status = this.$container.querySelector('#step-tracer-status');
+    this.$result = this.$container.querySelector('#step-tracer-result');
+    this.$steps = this.$container.querySelector('#step-tracer-steps');
+    this.$input.addEventListener('keydown', e => {
+      if (keymap.matches('step-tracer-run', e)) {
+        e.preventDefault();
+        this.run();
+      }
+    });
+    this.$container.querySelector('#step-tracer-run').addEventListener('click', () => {
+      this.run();
+    });
+    this.$container.querySelector('#step-tracer-previous').addEventListener('click', () => {
+      this.previous();
+    });
+    this.$container.querySelector('#step-tracer-next').addEventListener('click', () => {
+      this.next();
+    });
+    this.$container.querySelector('#step-tracer-close').addEventListener('click', () => {
+      this.close();
+    });
+    this.$steps.addEventListener('click', e => {
+      let $item = e.target.closest('li');
+      if ($item != null) {
+        this.goTo([...this.$steps.children].indexOf($item));
+      }
+    });
+    document.body.appendChild(this.$container);
+  },
+
+  isOpen() {
+    return this.$container.classList.contains('active');
+  },
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  },
+
+  open() {
+    this.$container.classList.add('active');
+    if (this.trace != null) {
+      this.mark();
+      this.goTo(this.index);
+    }
+    this.$input.focus();
+  },
+
+  close() {
+    this.$container.classList.remove('active');
+    this.clear();
+  },
+
+  run() {
+    this.clear();
+    let trace = [];
+    let realm = createTraceRealm(trace, this.MAX_STEPS);
+    let names = Object.keys(realm.globals);
+    let values = names.map(name => realm.globals[name]);
+    let source = this.$input.value;
+    try {
+      let fn;
+      try {
+        fn = new Function(...names, `return (${source}\n);`);
+      } catch (e) {
+        fn = new Function(...names, source);
+      }
+      this.$result.textContent = '→ ' + realm.describe(fn(...values));
+    } catch (e) {
+      this.$result.textContent = `threw ${e.name}: ${e.message}`;
+    }
+    this.trace = trace;
+    this.index = 0;
+    this.render();
+    this.mark();
+    this.goTo(0);
+  },
+
+  render() {
+    this.$steps.textContent = '';
+    this.trace.forEach(({ clauseId, step, depth }) => {
+      let entry = menu.search.biblio.byId[clauseId];
+      let $item = document.createElement('li');
+      $item.style.paddingLeft = depth - 1 + 'em';
+      $item.textContent = `${entry && entry.number ? entry.number : clauseId} step ${step}`;
+      $item.title = entry ? entry.title || entry.aoid || clauseId : clauseId;
+      this.$steps.appendChild($item);
+    });
+  },
+
+  mark() {
+    let order = new Map();
+    this.$lis = this.trace.map(({ clauseId, step }, i) => {
+      let $clause = document.getElementById(clauseId);
+      let $li = $clause && findStep($clause, step);
+      if ($li != null) {
+        order.set($li, (order.get($li) || []).concat(i + 1));
+      }
+      return $li;
+    });
+    order.forEach((positions, $li) => {
+      $li.classList.add('trace-executed');
+      $li.setAttribute(
+        'data-trace-order',
+        '#' + positions[0] + (positions.length > 1 ? ` ×${positions.length}` : '')
+      );
+    });
+  },
+
+  clear() {
+    document.querySelectorAll('.trace-executed').forEach($li => {
+      $li.classList.remove('trace-executed', 'trace-current');
+      $li.removeAttribute('data-trace-order');
+    });
+  },
+
+  goTo(index) {
+    if (this.trace == null || this.trace.length === 0) {
+      this.$status.textContent = 'no steps traced';
+      return;
+    }
+    this.index = Math.max(0, Math.min(index, this.trace.length - 1));
+    document.querySelectorAll('.trace-current').forEach($li => {
+      $li.classList.remove('trace-current');
+    });
+    let $li = this.$lis[this.index];
+    if ($li != null) {
+      $li.classList.add('trace-current');
+      $li.scrollIntoView({ block: 'center' });
+    }
+    [...this.$steps.children].forEach(($item, i) => {
+      $item.classList.toggle('selected', i === this.index);
+    });
+    this.$steps.children[this.index].scrollIntoView({ block: 'nearest' });
+    this.$status.textContent =
+      `step ${this.index + 1} of ${this.trace.length}` +
+      (this.trace.length >= this.MAX_STEPS ? ' (truncated)' : '');
+  },
+
+  next() {
+    this.goTo(this.index + 1);
+  },
+
+  previous() {
+    this.goTo(this.index - 1);
+  },
+};
+
+// What each clause can throw: its own `throw a *TypeError*` steps, and whatever the operations in
+// this document that it calls with `?` can throw. `?` calls to operations defined elsewhere are
+// kept by name only, since their throw steps are not visible here.
+let exceptionMap = {
+  // Own text of a step as it reads after the proposal, without deleted markup or substeps.
+  getText($el) {
+    let text = '';
+    for (let child of $el.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.textContent;
+      } else if (
+        child.nodeType === Node.ELEMENT_NODE &&
+        child.nodeName !== 'OL' &&
+        child.nodeName !== 'DEL' &&
+        child.getAttribute('aria-hidden') !== 'true'
+      ) {
+        text += this.getText(child);
+      }
+    }
+    return text;
+  },
+
+  // Scans and exceptions are cached per clause until the diff mode, and with it the steps that
+  // are omitted, changes.
+  getCache() {
+    if (this.cacheMode !== diffMode.mode) {
+      this.cache = { scans: new Map(), exceptions: new Map() };
+      this.cacheMode = diffMode.mode;
+    }
+    return this.cache;
+  },
+
+  // The throw steps and `?` calls written directly in a clause's algorithm.
+  scan($clause) {
+    let scans = this.getCache().scans;
+    if (!scans.has($clause)) {
+      scans.set($clause, this.scanUncached($clause));
+    }
+    return scans.get($clause);
+  },
+
+  scanUncached($clause) {
+    let biblio = menu.search.biblio;
+    let throws = [];
+    let calls = [];
+    let $alg = [...$clause.children].find($child => $child.nodeName === 'EMU-ALG');
+    if ($alg == null) {
+      return { throws, calls };
+    }
+    $alg.querySelectorAll('li').forEach($li => {
+      if ($li.classList.contains('diff-deleted-step') || isStepOmitted($li)) {
+        return;
+      }
+      let step = getStepNumber($li);
+      let text = this.getText($li);
+      let match;
+      let throwPattern = /throw an? (\w*Error)\b/g;
+      while ((match = throwPattern.exec(text)) != null) {
+        throws.push({ $li, step, type: match[1] });
+      }
+      // linked or not, as with `? ToIntegerOrInfinity(newLength)`
+      let callPattern = /\?\s*(\w+)\(/g;
+      while ((match = callPattern.exec(text)) != null) {
+        let aoid = match[1];
+        let op = biblio.entries.find(entry => entry.type === 'op' && entry.aoid === aoid);
+        calls.push({ $li, step, aoid, clauseId: op ? op.refId : null });
+      }
+    });
+    return { throws, calls };
+  },
+
+  // Every exception reachable from a clause, as the step that throws it and the `?` calls on the
+  // way there. Exceptions with a null type stand for a `?` call to an operation defined elsewhere.
+  get(id) {
+    return this.walk(id, new Set()).exceptions;
+  },
+
+  // A walk stops at clauses already on the current path. A result cut short that way depends on
+  // the path unless the cycle leads back to the clause itself, so only those are cached.
+  walk(id, seen) {
+    let cache = this.getCache().exceptions;
+    if (cache.has(id)) {
+      return { exceptions: cache.get(id), cut: new Set() };
+    }
+    let $clause = document.getElementById(id);
+    if ($clause == null) {
+      return { exceptions: [], cut: new Set() };
+    }
+    if (seen.has(id)) {
+      return { exceptions: [], cut: new Set([id]) };
+    }
+    seen.add(id);
+    let { throws, calls } = this.scan($clause);
+    let exceptions = throws.map(({ type, step }) => ({ type, clauseId: id, step, via: [] }));
+    let cut = new Set();
+    calls.forEach(({ step, aoid, clauseId }) => {
+      if (clauseId == null) {
+        exceptions.push({ type: null, aoid, clauseId: id, step, via: [] });
+        return;
+      }
+      let callee = this.walk(clauseId, new Set(seen));
+      callee.cut.forEach(cutId => {
+        cut.add(cutId);
+      });
+      callee.exceptions.forEach(exception => {
+        if (exception.type != null) {
+          let via = [{ clauseId: id, step, aoid }].concat(exception.via);
+          exceptions.push(Object.assign({}, exception, { via }));
+        }
+      });
+    });
+    cut.delete(id);
+    if (cut.size === 0) {
+      cache.set(id, exceptions);
+    }
+    return { exceptions, cut };
+  },
+
+  getName(clauseId) {
+    let biblio = menu.search.biblio;
+    let op = biblio.entries.find(entry => entry.type === 'op' && entry.refId === clauseId);
+    let clause = biblio.byId[clauseId];
+    return op ? op.aoid : clause ? clause.number : clauseId;
+  },
+
+  // e.g. `step 5`, or `step 2 → ValidateTypedArray step 6` when the throw is in a callee.
+  describe(exception, $parent) {
+    let steps = exception.via.concat(exception);
+    steps.forEach(({ clauseId, step }, i) => {
+      if (i > 0) {
+        $parent.appendChild(document.createTextNode(` → ${this.getName(clauseId)} `));
+      }
+      let $link = document.createElement('a');
+      $link.setAttribute('href', makeStepLink(clauseId, step));
+      $link.textContent = 'step ' + step;
+      $parent.appendChild($link);
+    });
+  },
+
+  // Clauses of public built-ins on this page, in document order.
+  getBuiltins() {
+    return [...document.querySelectorAll(CLAUSE_NODES.join(','))]
+      .map($clause => menu.search.biblio.byId[$clause.id])
+      .filter(entry => entry != null && getBuiltinGroup(entry) != null);
+  },
+
+  toggleOverlay() {
+    // the overlay stays in the page while hidden, and only needs rebuilding with the cache
+    let shown = document.documentElement.classList.toggle('show-exception-map');
+    if (shown && this.renderedCache !== this.getCache()) {
+      this.renderOverlay();
+    }
+  },
+
+  renderOverlay() {
+    this.renderedCache = this.getCache();
+    document.querySelectorAll('.exception-badge, .exception-summary').forEach($el => {
+      $el.remove();
+    });
+    document.querySelectorAll('emu-alg').forEach($alg => {
+      let $clause = $alg.parentNode;
+      if (!CLAUSE_NODES.includes($clause.nodeName) || !$clause.id) {
+        return;
+      }
+      let { throws, calls } = this.scan($clause);
+      let badges = new Map();
+      let addBadge = ($li, text) => {
+        badges.set($li, (badges.get($li) || new Set()).add(text));
+      };
+      throws.forEach(({ $li, type }) => {
+        addBadge($li, type);
+      });
+      calls.forEach(({ $li, aoid, clauseId }) => {
+        let types = clauseId == null ? [] : this.get(clauseId).map(exception => exception.type);
+        types = [...new Set(types.filter(type => type != null))];
+        addBadge($li, '? ' + (types.length > 0 ? types.join(', ') : aoid));
+      });
+      badges.forEach((texts, $li) => {
+        let $badge = document.createElement('span');
+        $badge.classList.add('exception-badge');
+        $badge.setAttribute('aria-hidden', 'true');
+        $badge.textContent = [...texts].join(' · ');
+        let $ol = [...$li.children].find($child => $child.nodeName === 'OL');
+        $li.insertBefore($badge, $ol);
+      });
+    });
+    this.getBuiltins().forEach(entry => {
+      let $clause = document.getElementById(entry.id);
+      let $summary = document.createElement('div');
+      $summary.classList.add('exception-summary');
+      this.renderSummary(entry.id, $summary);
+      $clause.querySelector('h1').after($summary);
+    });
+  },
+
+  renderSummary(id, $summary) {
+    let exceptions = this.get(id);
+    let types = [...new Set(exceptions.map(exception => exception.type))];
+    if (exceptions.length === 0) {
+      $summary.textContent = 'Throws nothing.';
+      return;
+    }
+    types.forEach(type => {
+      let $line = document.createElement('div');
+      if (type == null) {
+        let names = exceptions.filter(e => e.type == null).map(e => e.aoid);
+        $line.textContent = 'May also propagate from ' + [...new Set(names)].join(', ');
+      } else {
+        let $type = document.createElement('strong');
+        $type.textContent = type;
+        $line.appendChild($type);
+        $line.appendChild(document.createTextNode(': '));
+        exceptions
+          .filter(exception => exception.type === type)
+          .forEach((exception, i) => {
+            if (i > 0) {
+              $line.appendChild(document.createTextNode('; '));
+            }
+            this.describe(exception, $line);
+          });
+      }
+      $summary.appendChild($line);
+    });
+  },
+};
+
+// Compares the current page against another rendered snapshot, treating the other one as the baseline.
+let snapshotComparison = {
+  init() {
+    this.$input = document.createElement('input');
+    this.$input.setAttribute('type', 'file');
+    this.$input.setAttribute('accept', '.html,text/html');
+    this.$input.style.display = 'none';
+    this.$input.addEventListener('change', () => {
+      let file = this.$input.files[0];
+      if (file == null) {
+        return;
+      }
+      let reader = new FileReader();
+      reader.addEventListener('load', () => {
+        this.compare(reader.result, file.name);
+      });
+      reader.readAsText(file);
+      this.$input.value = '';
+    });
+    document.body.appendChild(this.$input);
+
+    // when the snapshots are served over http, ?compare=pr-93.html loads a sibling file directly
+    let name = new URLSearchParams(location.search).get('compare');
+    if (name) {
+      fetch(name)
+        .then(response => response.text())
+        .then(html => {
+          this.compare(html, name);
+        })
+        .catch(e => {
+          console.error('could not load snapshot to compare against', name, e);
+        });
+    }
+  },
+
+  open() {
+    this.$input.click();
+  },
+
+  compare(html, name) {
+    let other = new DOMParser().parseFromString(html, 'text/html');
+    let $otherContainer = other.getElementById('spec-container') || other.body;
+    let ours = getClauseSnapshots(menu.$specContainer);
+    let theirs = getClauseSnapshots($otherContainer);
+
+    document.querySelectorAll('.compare-changed').forEach($el => {
+      $el.classList.remove('compare-changed');
+    });
+
+    let records = [];
+    ours.forEach((clause, id) => {
+      let otherClause = theirs.get(id);
+      if (otherClause == null) {
+        records.push({ id, status: 'added', clause, steps: [] });
+        return;
+      }
+      let steps = diffBlocks(otherClause.blocks, clause.blocks);
+      if (steps.some(step => step.type !== 'same')) {
+        records.push({ id, status: 'changed', clause, steps });
+        steps.forEach(step => {
+          if (step.type === 'ins') {
+            step.block.$block.classList.add('compare-changed');
+          }
+        });
+      }
+    });
+    theirs.forEach((clause, id) => {
+      if (!ours.has(id)) {
+        records.push({ id, status: 'removed', clause, steps: [] });
+      }
+    });
+    records.sort((a, b) => sortByClauseNumber(a.clause, b.clause));
+
+    this.result = { name, records };
+    referencePane.showComparison(this.result);
+  },
+};
+
+function getClauseSnapshots($root) {
+  let clauses = new Map();
+  $root.querySelectorAll('emu-clause[id], emu-annex[id], emu-intro[id]').forEach($clause => {
+    let $h1 = $clause.querySelector('h1').cloneNode(true);
+    let $secnum = $h1.querySelector('.secnum');
+    if ($secnum) {
+      $secnum.remove();
+    }
+    clauses.set($clause.id, {
+      number: $secnum ? $secnum.textContent : '',
+      titleHTML: $h1.innerHTML,
+      blocks: [],
+    });
+  });
+  getTextBlocks($root).forEach(block => {
+    let clause = clauses.get(block.$clause.id);
+    if (clause != null) {
+      block.step = block.$block.nodeName === 'LI' ? getStepNumber(block.$block) : null;
+      clause.blocks.push(block);
+    }
+  });
+  return clauses;
+}
+
+// A longest-common-subsequence diff over the text of two block lists.
+function diffBlocks(before, after) {
+  let lengths = Array.from({ length: before.length + 1 }, () =>
+    new Array(after.length + 1).fill(0)
+  );
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        before[i].text === after[j].text
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let result = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i].text === after[j].text) {
+      result.push({ type: 'same', block: after[j] });
+      i++;
+      j++;
+    } else if (
+      i < before.length &&
+      (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      result.push({ type: 'del', block: before[i] });
+      i++;
+    } else {
+      result.push({ type: 'ins', block: after[j] });
+      j++;
+    }
+  }
+  return result;
+}
+
+function getCallTreeChildren(id, direction) {
+  let biblio = menu.search.biblio;
+  let children;
+  if (direction === 'callers') {
+    let entry = biblio.byId[id];
+    children = ((entry && entry.referencingIds) || []).map(ref => biblio.refParentClause[ref]);
+  } else {
+    children = (biblio.refsByClause[id] || []).map(ref => biblio.refTargetClause[ref]);
+  }
+  return [...new Set(children.filter(child => child != null))];
+}
+
+// Public built-ins are non-AO clauses titled like `DataView ( … )`, `Atomics.store ( … )`,
+// `%TypedArray%.prototype.fill ( … )`, or `get ArrayBuffer [ @@species ]`.
+function getBuiltinGroup(clause) {
+  let biblio = menu.search.biblio;
+  if (
+    clause.type !== 'clause' ||
+    biblio.entries.some(e => e.type === 'op' && e.refId === clause.id)
+  ) {
+    return null;
+  }
+  let match = (clause.title || clause.titleHTML).match(
+    /^(?:[gs]et )?(%?[A-Z][\w%]*(?:\.[\w%]+)*)(?: \[ @@\w+ \])?(?: \(|$)/
+  );
+  if (match == null) {
+    return null;
+  }
+  let name = match[1];
+  let prototypeIndex = name.indexOf('.prototype');
+  if (prototypeIndex !== -1) {
+    return name.slice(0, prototypeIndex + '.prototype'.length);
+  }
+  let dot = name.lastIndexOf('.');
+  return dot === -1 ? name : name.slice(0, dot);
+}
+
+// Walks callers transitively from `id` and returns the reachable public built-ins, grouped.
+function getImpactedBuiltins(id) {
+  let biblio = menu.search.biblio;
+  let seen = new Set([id]);
+  let queue = [id];
+  let groups = new Map();
+  while (queue.length > 0) {
+    getCallTreeChildren(queue.shift(), 'callers').forEach(caller => {
+      if (seen.has(caller)) {
+        return;
+      }
+      seen.add(caller);
+      queue.push(caller);
+      let clause = biblio.byId[caller];
+      let group = clause && getBuiltinGroup(clause);
+      if (group) {
+        if (!groups.has(group)) {
+          groups.set(group, []);
+        }
+        groups.get(group).push(clause);
+      }
+    });
+  }
+  return [...groups.keys()].sort().map(group => ({
+    group,
+    clauses: groups.get(group).sort(sortByClauseNumber),
+  }));
+}
+
+function flash($el) {
+  $el.classList.remove('flash');
+  // force a reflow so the animation restarts
+  void $el.offsetWidth;
+  $el.classList.add('flash');
+  $el.addEventListener(
+    'animationend',
+    () => {
+      $el.classList.remove('flash');
+    },
+    { once: true }
+  );
+}
+
+// Collects whether the step's own (non-substep) text lies in <ins>, <del>, or neither ('TEXT').
+function getStepMarkupKinds($el, kinds) {
+  kinds = kinds || new Set();
+  for (let child of $el.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      if (child.textContent.trim() !== '') {
+        kinds.add('TEXT');
+      }
+    } else if (child.nodeName === 'INS' || child.nodeName === 'DEL') {
+      kinds.add(child.nodeName);
+    } else if (
+      child.nodeType === Node.ELEMENT_NODE &&
+      child.nodeName !== 'OL' &&
+      child.getAttribute('aria-hidden') !== 'true'
+    ) {
+      getStepMarkupKinds(child, kinds);
+    }
+  }
+  return kinds;
+}
+
+function isStepOmitted(li) {
+  return (
+    (diffMode.mode === 'after' && li.classList.contains('diff-deleted-step')) ||
+    (diffMode.mode === 'before' && li.classList.contains('diff-inserted-step'))
+  );
+}
+
+function sortByClauseNumber(clause1, clause2) {
+  let c1c = clause1.number.split('.');
+  let c2c = clause2.number.split('.');
+
+  for (let i = 0; i < c1c.length; i++) {
+    if (i >= c2c.length) {
+      return 1;
+    }
+
+    let c1 = c1c[i];
+    let c2 = c2c[i];
+    let c1cn = Number(c1);
+    let c2cn = Number(c2);
+
+    if (Number.isNaN(c1cn) && Number.isNaN(c2cn)) {
+      if (c1 > c2) {
+        return 1;
+      } else if (c1 < c2) {
+        return -1;
+      }
+    } else if (!Number.isNaN(c1cn) && Number.isNaN(c2cn)) {
+      return -1;
+    } else if (Number.isNaN(c1cn) && !Number.isNaN(c2cn)) {
+      return 1;
+    } else if (c1cn > c2cn) {
+      return 1;
+    } else if (c1cn < c2cn) {
+      return -1;
+    }
+  }
+
+  if (c1c.length === c2c.length) {
+    return 0;
+  }
+  return -1;
+}
+
+function makeLinkToId(id) {
+  let hash = '#' + id;
+  if (typeof idToSection === 'undefined' || !idToSection[id]) {
+    return hash;
+  }
+  let targetSec = idToSection[id];
+  return (targetSec === 'index' ? './' : targetSec + '.html') + hash;
+}
+
+function toggleMultipage() {
+  let pathParts = location.pathname.split('/');
+  let hash = location.hash;
+  if (pathParts[pathParts.length - 2] === 'multipage') {
+    if (hash === '') {
+      let sectionName = pathParts[pathParts.length - 1];
+      if (sectionName.endsWith('.html')) {
+        sectionName = sectionName.slice(0, -5);
+      }
+      if (idToSection['sec-' + sectionName] !== undefined) {
+        hash = '#sec-' + sectionName;
+      }
+    }
+    location = pathParts.slice(0, -2).join('/') + '/' + hash;
+  } else {
+    location = 'multipage/' + hash;
   }
 }
 
 function init() {
+  migrateLegacyStorage();
   menu = new Menu();
   let $container = document.getElementById('spec-container');
   $container.addEventListener(
@@ -1095,24 +6257,24 @@ function init() {
       Toolbox.activateIfMouseOver(e);
     })
   );
-  document.addEventListener(
-    'keydown',
-    debounce(e => {
-      if (e.code === 'Escape') {
-        if (Toolbox.active) {
-          Toolbox.deactivate();
-        }
-        document.getElementById('shortcuts-help').classList.remove('active');
-      }
-    })
-  );
 }
 
-document.addEventListener('keypress', doShortcut);
-
 document.addEventListener('DOMContentLoaded', () => {
+  breadcrumbs.init();
+  jumpHistory.init();
+  keymap.init();
+  keymapSettings.init();
   Toolbox.init();
   referencePane.init();
+  diffMode.init();
+  snapshotComparison.init();
+  xrefPreview.init();
+  peekPane.init();
+  annotations.init();
+  commandPalette.init();
+  boundsCalculator.init();
+  raceExplorer.init();
+  stepTracer.init();
 });
 
 // preserve state during navigation
@@ -1164,8 +6326,8 @@ function loadStateFromSessionStorage() {
   if (!window.sessionStorage || typeof menu === 'undefined' || window.navigating) {
     return;
   }
-  if (sessionStorage.referencePaneState != null) {
-    let state = JSON.parse(sessionStorage.referencePaneState);
+  if (getStored('sessionStorage', 'referencePaneState') != null) {
+    let state = JSON.parse(getStored('sessionStorage', 'referencePaneState'));
     if (state != null) {
       if (state.type === 'ref') {
         let entry = menu.search.biblio.byId[state.id];
@@ -1178,34 +6340,63 @@ function loadStateFromSessionStorage() {
           referencePane.$headerText.innerHTML = state.html;
           referencePane.showSDOsBody(sdos, state.id);
         }
+      } else if (state.type === 'calls') {
+        let entry = menu.search.biblio.byId[state.id];
+        if (entry != null) {
+          referencePane.showCallTree(entry, state.direction, state.depth);
+        }
+      } else if (state.type === 'impact') {
+        let entry = menu.search.biblio.byId[state.id];
+        if (entry != null) {
+          referencePane.showImpactFor(entry);
+        }
+      } else if (state.type === 'defuse') {
+        let parentClause = document.getElementById(state.id);
+        if (parentClause != null) {
+          referencePane.showDefUse(parentClause, state.name);
+        }
+      } else if (state.type === 'annotations') {
+        referencePane.showAnnotations();
+      } else if (state.type === 'changes') {
+        referencePane.showChanges();
+      } else if (state.type === 'exceptions') {
+        referencePane.showExceptions();
       }
-      delete sessionStorage.referencePaneState;
+      removeStored('sessionStorage', 'referencePaneState');
     }
   }
 
-  if (sessionStorage.activeTocPaths != null) {
+  if (getStored('sessionStorage', 'activeTocPaths') != null) {
     document
       .getElementById('menu-toc')
       .querySelectorAll('.active')
       .forEach(e => {
         e.classList.remove('active');
       });
-    let active = JSON.parse(sessionStorage.activeTocPaths);
+    let active = JSON.parse(getStored('sessionStorage', 'activeTocPaths'));
     active.forEach(activateTocPath);
-    delete sessionStorage.activeTocPaths;
+    removeStored('sessionStorage', 'activeTocPaths');
   }
 
-  if (sessionStorage.searchValue != null) {
-    let value = JSON.parse(sessionStorage.searchValue);
+  if (getStored('sessionStorage', 'searchValue') != null) {
+    let value = JSON.parse(getStored('sessionStorage', 'searchValue'));
     menu.search.$searchBox.value = value;
     menu.search.search(value);
-    delete sessionStorage.searchValue;
+    removeStored('sessionStorage', 'searchValue');
+  }
+
+  if (getStored('sessionStorage', 'peekPaneState') != null) {
+    let state = JSON.parse(getStored('sessionStorage', 'peekPaneState'));
+    if (state != null) {
+      peekPane.loadState(state);
+    }
+    removeStored('sessionStorage', 'peekPaneState');
   }
 
-  if (sessionStorage.tocScroll != null) {
-    let tocScroll = JSON.parse(sessionStorage.tocScroll);
+  if (getStored('sessionStorage', 'tocScroll') != null) {
+    let tocScroll = JSON.parse(getStored('sessionStorage', 'tocScroll'));
     menu.$toc.scrollTop = tocScroll;
-    delete sessionStorage.tocScroll;
+    removeStored('sessionStorage', 'tocScroll');
   }
 }
 
@@ -1217,10 +6408,11 @@ window.addEventListener('beforeunload', () => {
   if (!window.sessionStorage || typeof menu === 'undefined') {
     return;
   }
-  sessionStorage.referencePaneState = JSON.stringify(referencePane.state || null);
-  sessionStorage.activeTocPaths = JSON.stringify(getActiveTocPaths());
-  sessionStorage.searchValue = JSON.stringify(menu.search.$searchBox.value);
-  sessionStorage.tocScroll = JSON.stringify(menu.$toc.scrollTop);
+  setStored('sessionStorage', 'referencePaneState', JSON.stringify(referencePane.state || null));
+  setStored('sessionStorage', 'activeTocPaths', JSON.stringify(getActiveTocPaths()));
+  setStored('sessionStorage', 'searchValue', JSON.stringify(menu.search.$searchBox.value));
+  setStored('sessionStorage', 'tocScroll', JSON.stringify(menu.$toc.scrollTop));
+  setStored('sessionStorage', 'peekPaneState', JSON.stringify(peekPane.getState()));
 });
 
 'use strict';
@@ -1232,28 +6424,178 @@ let romanBullet = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x',
 // prettier-ignore
 let bullets = [decimalBullet, alphaBullet, romanBullet, decimalBullet, alphaBullet, romanBullet];
 
+// Steps hidden by the current diff mode are skipped, so this can be rerun when the mode changes.
 function addStepNumberText(ol, parentIndex) {
+  let number = 0;
   for (let i = 0; i < ol.children.length; ++i) {
     let child = ol.children[i];
-    let index = parentIndex.concat([i]);
+    let span = child.firstElementChild;
+    if (span == null || !span.classList.contains('step-number')) {
+      span = document.createElement('span');
+      span.classList.add('step-number');
+      span.style.fontSize = '0';
+      span.setAttribute('aria-hidden', 'true');
+      child.prepend(span);
+    }
+    if (isStepOmitted(child)) {
+      span.textContent = '';
+      continue;
+    }
+    let index = parentIndex.concat([number]);
     let applicable = bullets[Math.min(index.length - 1, 5)];
-    let span = document.createElement('span');
-    span.textContent = (applicable[i] || '?') + '. ';
-    span.style.fontSize = '0';
-    span.setAttribute('aria-hidden', 'true');
-    child.prepend(span);
+    span.textContent = (applicable[number] || '?') + '. ';
+    number++;
     let sublist = child.querySelector('ol');
     if (sublist != null) {
       addStepNumberText(sublist, index);
     }
   }
 }
+
+// Returns the number of an algorithm step, e.g. "3.a.ii", as in the inline diff where every step
+// counts, so that links to it don't depend on the diff mode they were made in.
+function getStepNumber(li) {
+  let parts = [];
+  while (li && li.nodeName === 'LI') {
+    let ol = li.parentNode;
+    parts.unshift([...ol.children].indexOf(li));
+    if (ol.parentNode.nodeName === 'EMU-ALG') {
+      break;
+    }
+    li = ol.parentNode;
+  }
+  return parts.map((index, depth) => bullets[Math.min(depth, 5)][index] || '?').join('.');
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   document.querySelectorAll('emu-alg > ol').forEach(ol => {
     addStepNumberText(ol, []);
   });
 });
 
+// Step fragments look like `#sec-arraybuffer.prototype.resize:step-4.b`, or a range of sibling
+// steps like `:step-3-6`, where the end may omit leading components shared with the start.
+function parseStepFragment(hash) {
+  let index = hash.lastIndexOf(':step-');
+  if (index === -1) {
+    return null;
+  }
+  let range = hash.slice(index + ':step-'.length).split('-');
+  let from = range[0];
+  let to = range[1] || from;
+  let fromParts = from.split('.');
+  let toParts = to.split('.');
+  let prefix = fromParts.slice(0, fromParts.length - toParts.length);
+  to = prefix.concat(toParts).join('.');
+  return { clauseId: decodeFragment(hash.slice(1, index)), from, to };
+}
+
+// Ids like `sec-%typedarray%.prototype.fill` often appear in hashes without being encoded, and
+// don't decode as URI components, so they are taken as they are.
+function decodeFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (e) {
+    return fragment;
+  }
+}
+
+function makeStepLink(clauseId, from, to) {
+  let range = to && to !== from ? from + '-' + to : from;
+  let link = makeLinkToId(clauseId);
+  let hash = '#' + encodeURIComponent(clauseId) + ':step-' + range;
+  return new URL(link.slice(0, link.indexOf('#')) + hash, location.href).href;
+}
+
+function findStep($clause, number) {
+  let $alg = [...$clause.querySelectorAll('emu-alg')].find($a => findContainer($a) === $clause);
+  let ol = $alg ? $alg.querySelector('ol') : null;
+  let li = null;
+  number.split('.').forEach((part, depth) => {
+    li = ol ? ol.children[bullets[Math.min(depth, 5)].indexOf(part)] : null;
+    ol = li ? li.querySelector('ol') : null;
+  });
+  return li || null;
+}
+
+function highlightStepFragment() {
+  document.querySelectorAll('.step-highlight').forEach($li => {
+    $li.classList.remove('step-highlight');
+  });
+  let fragment = parseStepFragment(location.hash);
+  let $clause = fragment && document.getElementById(fragment.clauseId);
+  if ($clause == null) {
+    return;
+  }
+  let $from = findStep($clause, fragment.from);
+  let $to = findStep($clause, fragment.to);
+  if ($from == null) {
+    return;
+  }
+  if ($to == null || $to.parentNode !== $from.parentNode) {
+    $to = $from;
+  }
+  let siblings = [...$from.parentNode.children];
+  let start = Math.min(siblings.indexOf($from), siblings.indexOf($to));
+  let end = Math.max(siblings.indexOf($from), siblings.indexOf($to));
+  siblings.slice(start, end + 1).forEach($li => {
+    if (!isStepOmitted($li)) {
+      $li.classList.add('step-highlight');
+    }
+  });
+  siblings[start].scrollIntoView({ block: 'center' });
+}
+
+// The last step whose link was copied; shift-clicking a sibling step copies a range.
+let stepLinkAnchor = null;
+
+function copyStepLink($li, extend) {
+  let $clause = findContainer($li);
+  if ($clause == null || !$clause.id) {
+    return;
+  }
+  let from = getStepNumber($li);
+  let to = from;
+  if (extend && stepLinkAnchor != null && stepLinkAnchor.parentNode === $li.parentNode) {
+    let siblings = [...$li.parentNode.children];
+    let anchor = getStepNumber(stepLinkAnchor);
+    if (siblings.indexOf(stepLinkAnchor) < siblings.indexOf($li)) {
+      from = anchor;
+    } else {
+      to = anchor;
+    }
+  } else {
+    stepLinkAnchor = $li;
+  }
+  let link = makeStepLink($clause.id, from, to);
+  history.replaceState(null, '', link);
+  highlightStepFragment();
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(link).catch(() => {});
+  }
+}
+
+document.addEventListener('click', e => {
+  let $li = null;
+  if (e.target.classList && e.target.classList.contains('step-number')) {
+    $li = e.target.parentNode;
+  } else if (
+    e.target.nodeName === 'LI' &&
+    e.target.closest('emu-alg') &&
+    e.clientX < e.target.getBoundingClientRect().left
+  ) {
+    // a click on the list marker
+    $li = e.target;
+  }
+  if ($li != null && $li.closest('#spec-container')) {
+    e.preventDefault();
+    copyStepLink($li, e.shiftKey);
+  }
+});
+
+document.addEventListener('DOMContentLoaded', highlightStepFragment);
+window.addEventListener('hashchange', highlightStepFragment);
+
 let sdoMap = JSON.parse(`{}`);
 let biblio = JSON.parse(`{"refsByClause":{"sec-get-arraybuffer-@@species":["_ref_0"],"sec-makeidempotentarraybufferbytelengthgetter":["_ref_1"],"sec-arraybuffer-length":["_ref_2","_ref_3"],"sec-get-arraybuffer.prototype.maxbytelength":["_ref_4"],"sec-get-arraybuffer.prototype.resizable":["_ref_5"],"sec-arraybuffer.prototype.slice":["_ref_6"],"sec-arraybuffer.prototype.resize":["_ref_7"],"sec-hostgrowsharedarraybuffer":["_ref_8"],"sec-sharedarraybuffer-length":["_ref_9","_ref_10"],"sec-get-sharedarraybuffer.prototype.bytelength":["_ref_11"],"sec-get-sharedarraybuffer.prototype.growable":["_ref_12"],"sec-get-sharedarraybuffer.prototype.maxbytelength":["_ref_13"],"sec-sharedarraybuffer.prototype.grow":["_ref_14"],"sec-sharedarraybuffer.prototype.slice":["_ref_15","_ref_16"],"sec-integer-indexed-exotic-objects-ownpropertykeys":["_ref_17","_ref_18"],"sec-isvalidintegerindex":["_ref_19","_ref_20"],"sec-integerindexedobjectbytelength":["_ref_21"],"sec-integerindexedobjectlength":["_ref_22","_ref_23"],"sec-isarraybufferviewoutofbounds":["_ref_24","_ref_25","_ref_26","_ref_27","_ref_28"],"sec-validatetypedarray":["_ref_29","_ref_30"],"sec-get-%typedarray%.prototype.bytelength":["_ref_31","_ref_32"],"sec-get-%typedarray%.prototype.byteoffset":["_ref_33","_ref_34"],"sec-get-%typedarray%.prototype.length":["_ref_35","_ref_36"],"sec-%typedarray%.prototype.copywithin":["_ref_37","_ref_38","_ref_39","_ref_40","_ref_41"],"sec-%typedarray%.prototype.fill":["_ref_42","_ref_43","_ref_44","_ref_45","_ref_46"],"sec-%typedarray%.prototype.slice":["_ref_47","_ref_48","_ref_49","_ref_50","_ref_51"],"sec-%typedarray%.prototype.subarray":["_ref_52","_ref_53"],"sec-settypedarrayfromtypedarray":["_ref_54","_ref_55","_ref_56","_ref_57","_ref_58"],"sec-initializetypedarrayfromtypedarray":["_ref_59","_ref_60","_ref_61","_ref_62"],"sec-initializetypedarrayfromarraybuffer":["_ref_63","_ref_64"],"sec-getviewbytelength":["_ref_65","_ref_66"],"sec-getviewvalue":["_ref_67","_ref_68"],"sec-setviewvalue":["_ref_69","_ref_70"],"sec-dataview-buffer-byteoffset-bytelength":["_ref_71","_ref_72","_ref_73"],"sec-get-dataview.prototype.bytelength":["_ref_74","_ref_75","_ref_76"],"sec-get-dataview.prototype.byteoffset":["_ref_77","_ref_78"],"sec-atomics.compareexchange":["_ref_79","_ref_80","_ref_81","_ref_82"],"sec-atomics.store":["_ref_83","_ref_84","_ref_85"],"sec-atomicreadmodifywrite":["_ref_86","_ref_87","_ref_88","_ref_89"],"sec-validateatomicaccess":["_ref_90","_ref_91"],"omitted-for-brevity":["_ref_92","_ref_93"]},"entries":[{"type":"clause","id":"intro","titleHTML":"Resizable ArrayBuffer and growable SharedArrayBuffer","number":""},{"type":"op","aoid":"DetachArrayBuffer","refId":"sec-detacharraybuffer"},{"type":"clause","id":"sec-detacharraybuffer","title":"DetachArrayBuffer ( arrayBuffer [ , key ] )","titleHTML":"DetachArrayBuffer ( <var>arrayBuffer</var> [ , <var>key</var> ] )","number":"1.1.1"},{"type":"op","aoid":"AllocateArrayBuffer","refId":"sec-allocatearraybuffer"},{"type":"clause","id":"sec-allocatearraybuffer","title":"AllocateArrayBuffer ( constructor, byteLength [ , maxByteLength ] )","titleHTML":"AllocateArrayBuffer ( <var>constructor</var>, <var>byteLength</var> [ , <ins><var>maxByteLength</var></ins> ] )","number":"1.1.2","referencingIds":["_ref_3","_ref_61"]},{"type":"op","aoid":"ArrayBufferByteLength","refId":"sec-arraybufferlength"},{"type":"clause","id":"sec-arraybufferlength","title":"ArrayBufferByteLength ( arrayBuffer, order )","titleHTML":"ArrayBufferByteLength ( <var>arrayBuffer</var>, <var>order</var> )","number":"1.1.3","referencingIds":["_ref_1","_ref_11","_ref_15","_ref_64","_ref_71","_ref_93"]},{"type":"op","aoid":"MakeIdempotentArrayBufferByteLengthGetter","refId":"sec-makeidempotentarraybufferbytelengthgetter"},{"type":"clause","id":"sec-makeidempotentarraybufferbytelengthgetter","title":"MakeIdempotentArrayBufferByteLengthGetter ( order )","titleHTML":"MakeIdempotentArrayBufferByteLengthGetter ( <var>order</var> )","number":"1.1.4","referencingIds":["_ref_17","_ref_19","_ref_24","_ref_29","_ref_31","_ref_33","_ref_35","_ref_38","_ref_40","_ref_43","_ref_45","_ref_48","_ref_50","_ref_52","_ref_54","_ref_56","_ref_59","_ref_67","_ref_69","_ref_73","_ref_74","_ref_77","_ref_80","_ref_84","_ref_87","_ref_90"]},{"type":"op","aoid":"IsResizableArrayBuffer","refId":"sec-isresizablearraybuffer"},{"type":"clause","id":"sec-isresizablearraybuffer","title":"IsResizableArrayBuffer ( arrayBuffer )","titleHTML":"IsResizableArrayBuffer ( <var>arrayBuffer</var> )","number":"1.1.5","referencingIds":["_ref_4","_ref_5","_ref_12","_ref_13","_ref_23","_ref_63","_ref_66","_ref_72"]},{"type":"op","aoid":"GetArrayBufferMaxByteLengthOption","refId":"sec-getarraybuffermaxbytelengthoption"},{"type":"clause","id":"sec-getarraybuffermaxbytelengthoption","title":"GetArrayBufferMaxByteLengthOption ( options )","titleHTML":"GetArrayBufferMaxByteLengthOption ( <var>options</var> )","number":"1.1.6","referencingIds":["_ref_2","_ref_9"]},{"type":"op","aoid":"HostResizeArrayBuffer","refId":"sec-hostresizearraybuffer"},{"type":"clause","id":"sec-hostresizearraybuffer","title":"HostResizeArrayBuffer ( buffer, newByteLength )","titleHTML":"HostResizeArrayBuffer ( <var>buffer</var>, <var>newByteLength</var> )","number":"1.1.7","referencingIds":["_ref_7","_ref_8"]},{"type":"clause","id":"sec-abstract-operations-for-arraybuffer-objects-mods","titleHTML":"Modifications to Abstract Operations for ArrayBuffer Objects","number":"1.1"},{"type":"clause","id":"sec-arraybuffer-length","title":"ArrayBuffer ( length [ , options ] )","titleHTML":"ArrayBuffer ( <var>length</var> <ins>[ , <var>options</var> ]</ins> )","number":"1.2.1"},{"type":"clause","id":"sec-arraybuffer-constructor","titleHTML":"The ArrayBuffer Constructor","number":"1.2","referencingIds":["_ref_6","_ref_62"]},{"type":"clause","id":"sec-get-arraybuffer-@@species","titleHTML":"get ArrayBuffer [ @@species ]","number":"1.3.1"},{"type":"clause","id":"sec-get-arraybuffer.prototype.maxbytelength","titleHTML":"get ArrayBuffer.prototype.maxByteLength","number":"1.3.2"},{"type":"clause","id":"sec-get-arraybuffer.prototype.resizable","titleHTML":"get ArrayBuffer.prototype.resizable","number":"1.3.3"},{"type":"clause","id":"sec-arraybuffer.prototype.slice","title":"ArrayBuffer.prototype.slice ( start, end )","titleHTML":"ArrayBuffer.prototype.slice ( <var>start</var>, <var>end</var> )","number":"1.3.4","referencingIds":["_ref_0"]},{"type":"clause","id":"sec-arraybuffer.prototype.resize","title":"ArrayBuffer.prototype.resize ( newLength )","titleHTML":"ArrayBuffer.prototype.resize ( <var>newLength</var> )","number":"1.3.5"},{"type":"clause","id":"sec-properties-of-the-arraybuffer-prototype-object-mods","titleHTML":"Modifications to the Properties of the ArrayBuffer Prototype Object","number":"1.3"},{"type":"clause","id":"sec-arraybuffer-objects-mods","titleHTML":"Modifications to ArrayBuffer Objects","number":"1"},{"type":"op","aoid":"AllocateSharedArrayBuffer","refId":"sec-allocatesharedarraybuffer"},{"type":"clause","id":"sec-allocatesharedarraybuffer","title":"AllocateSharedArrayBuffer ( constructor, byteLength [ , maxByteLength ] )","titleHTML":"AllocateSharedArrayBuffer ( <var>constructor</var>, <var>byteLength</var> [ , <ins><var>maxByteLength</var></ins> ] )","number":"2.1.1","referencingIds":["_ref_10"]},{"type":"op","aoid":"HostGrowSharedArrayBuffer","refId":"sec-hostgrowsharedarraybuffer"},{"type":"clause","id":"sec-hostgrowsharedarraybuffer","title":"HostGrowSharedArrayBuffer ( buffer, newByteLength )","titleHTML":"HostGrowSharedArrayBuffer ( <var>buffer</var>, <var>newByteLength</var> )","number":"2.1.2","referencingIds":["_ref_14"]},{"type":"clause","id":"sec-abstract-operations-for-sharedarraybuffer-objects-mods","titleHTML":"Modifications to Abstract Operations for SharedArrayBuffer Objects","number":"2.1"},{"type":"clause","id":"sec-sharedarraybuffer-length","title":"SharedArrayBuffer ( length [ , options ] )","titleHTML":"SharedArrayBuffer ( <var>length</var> <ins>[ , <var>options</var> ]</ins> )","number":"2.2.1"},{"type":"clause","id":"sec-sharedarraybuffer-constructor","titleHTML":"The SharedArrayBuffer Constructor","number":"2.2","referencingIds":["_ref_16"]},{"type":"clause","id":"sec-get-sharedarraybuffer.prototype.bytelength","titleHTML":"get SharedArrayBuffer.prototype.byteLength","number":"2.3.1"},{"type":"clause","id":"sec-get-sharedarraybuffer.prototype.growable","titleHTML":"get SharedArrayBuffer.prototype.growable","number":"2.3.2"},{"type":"clause","id":"sec-get-sharedarraybuffer.prototype.maxbytelength","titleHTML":"get SharedArrayBuffer.prototype.maxByteLength","number":"2.3.3"},{"type":"clause","id":"sec-sharedarraybuffer.prototype.grow","title":"SharedArrayBuffer.prototype.grow ( newLength )","titleHTML":"SharedArrayBuffer.prototype.grow ( <var>newLength</var> )","number":"2.3.4"},{"type":"clause","id":"sec-sharedarraybuffer.prototype.slice","title":"SharedArrayBuffer.prototype.slice ( start, end )","titleHTML":"SharedArrayBuffer.prototype.slice ( <var>start</var>, <var>end</var> )","number":"2.3.5"},{"type":"clause","id":"sec-properties-of-the-sharedarraybuffer-prototype-object-mods","titleHTML":"Modifications to the Properties of the SharedArrayBuffer Prototype Object","number":"2.3"},{"type":"clause","id":"sec-sharedarraybuffer-objects-mods","titleHTML":"Modifications to SharedArrayBuffer Objects","number":"2"},{"type":"clause","id":"sec-integer-indexed-exotic-objects-ownpropertykeys","titleHTML":"[[OwnPropertyKeys]] ( )","number":"3.1"},{"type":"op","aoid":"IsValidIntegerIndex","refId":"sec-isvalidintegerindex"},{"type":"clause","id":"sec-isvalidintegerindex","title":"IsValidIntegerIndex ( O, index )","titleHTML":"IsValidIntegerIndex ( <var>O</var>, <var>index</var> )","number":"3.2"},{"type":"op","aoid":"IntegerIndexedObjectByteLength","refId":"sec-integerindexedobjectbytelength"},{"type":"clause","id":"sec-integerindexedobjectbytelength","title":"IntegerIndexedObjectByteLength ( O, getBufferByteLength )","titleHTML":"IntegerIndexedObjectByteLength ( <var>O</var>, <var>getBufferByteLength</var> )","number":"3.3","referencingIds":["_ref_32","_ref_58"]},{"type":"op","aoid":"IntegerIndexedObjectLength","refId":"sec-integerindexedobjectlength"},{"type":"clause","id":"sec-integerindexedobjectlength","title":"IntegerIndexedObjectLength ( O, getBufferByteLength )","titleHTML":"IntegerIndexedObjectLength ( <var>O</var>, <var>getBufferByteLength</var> )","number":"3.4","referencingIds":["_ref_18","_ref_20","_ref_21","_ref_36","_ref_39","_ref_41","_ref_44","_ref_46","_ref_49","_ref_51","_ref_53","_ref_55","_ref_57","_ref_60","_ref_81","_ref_85","_ref_88","_ref_91","_ref_92"]},{"type":"op","aoid":"IsIntegerIndexedObjectOutOfBounds","refId":"sec-isintegerindexedobjectoutofbounds"},{"type":"clause","id":"sec-isintegerindexedobjectoutofbounds","title":"IsIntegerIndexedObjectOutOfBounds ( O, getBufferByteLength )","titleHTML":"IsIntegerIndexedObjectOutOfBounds ( <var>O</var>, <var>getBufferByteLength</var> )","number":"3.5","referencingIds":["_ref_22","_ref_26","_ref_28","_ref_30","_ref_34"]},{"type":"op","aoid":"IsArrayBufferViewOutOfBounds","refId":"sec-isarraybufferviewoutofbounds"},{"type":"clause","id":"sec-isarraybufferviewoutofbounds","title":"IsArrayBufferViewOutOfBounds ( O )","titleHTML":"IsArrayBufferViewOutOfBounds ( <var>O</var> )","number":"3.6"},{"type":"clause","id":"sec-integer-indexed-exotic-objects-mods","titleHTML":"Modifications to Integer-Indexed Exotic Objects","number":"3"},{"type":"op","aoid":"ValidateTypedArray","refId":"sec-validatetypedarray"},{"type":"clause","id":"sec-validatetypedarray","title":"ValidateTypedArray ( O )","titleHTML":"ValidateTypedArray ( <var>O</var> )","number":"4.1.1","referencingIds":["_ref_37","_ref_42","_ref_47"]},{"type":"clause","id":"sec-get-%typedarray%.prototype.bytelength","titleHTML":"get %TypedArray%.prototype.byteLength","number":"4.1.2"},{"type":"clause","id":"sec-get-%typedarray%.prototype.byteoffset","titleHTML":"get %TypedArray%.prototype.byteOffset","number":"4.1.3"},{"type":"clause","id":"sec-get-%typedarray%.prototype.length","titleHTML":"get %TypedArray%.prototype.length","number":"4.1.4"},{"type":"clause","id":"sec-%typedarray%.prototype.copywithin","title":"%TypedArray%.prototype.copyWithin ( target, start [ , end ] )","titleHTML":"%TypedArray%.prototype.copyWithin ( <var>target</var>, <var>start</var> [ , <var>end</var> ] )","number":"4.1.5"},{"type":"clause","id":"sec-%typedarray%.prototype.fill","title":"%TypedArray%.prototype.fill ( value [ , start [ , end ] ] )","titleHTML":"%TypedArray%.prototype.fill ( <var>value</var> [ , <var>start</var> [ , <var>end</var> ] ] )","number":"4.1.6"},{"type":"clause","id":"sec-%typedarray%.prototype.slice","title":"%TypedArray%.prototype.slice ( start, end )","titleHTML":"%TypedArray%.prototype.slice ( <var>start</var>, <var>end</var> )","number":"4.1.7"},{"type":"clause","id":"sec-%typedarray%.prototype.subarray","title":"%TypedArray%.prototype.subarray ( begin, end )","titleHTML":"%TypedArray%.prototype.subarray ( <var>begin</var>, <var>end</var> )","number":"4.1.8"},{"type":"op","aoid":"SetTypedArrayFromTypedArray","refId":"sec-settypedarrayfromtypedarray"},{"type":"clause","id":"sec-settypedarrayfromtypedarray","title":"SetTypedArrayFromTypedArray ( target, targetOffset, source )","titleHTML":"SetTypedArrayFromTypedArray ( <var>target</var>, <var>targetOffset</var>, <var>source</var> )","number":"4.1.9"},{"type":"clause","id":"sec-properties-of-the-%typedarrayprototype%-object-mods","titleHTML":"Modifications to Properties of the %TypedArray.prototype% Object","number":"4.1"},{"type":"op","aoid":"InitializeTypedArrayFromTypedArray","refId":"sec-initializetypedarrayfromtypedarray"},{"type":"clause","id":"sec-initializetypedarrayfromtypedarray","title":"InitializeTypedArrayFromTypedArray ( O, srcArray )","titleHTML":"InitializeTypedArrayFromTypedArray ( <var>O</var>, <var>srcArray</var> )","number":"4.2.1"},{"type":"op","aoid":"InitializeTypedArrayFromArrayBuffer","refId":"sec-initializetypedarrayfromarraybuffer"},{"type":"clause","id":"sec-initializetypedarrayfromarraybuffer","title":"InitializeTypedArrayFromArrayBuffer ( O, buffer, byteOffset, length )","titleHTML":"InitializeTypedArrayFromArrayBuffer ( <var>O</var>, <var>buffer</var>, <var>byteOffset</var>, <var>length</var> )","number":"4.2.2"},{"type":"clause","id":"sec-typedarray-constructors-mods","title":"Modifications to the TypedArray Constructors","titleHTML":"Modifications to the <var>TypedArray</var> Constructors","number":"4.2"},{"type":"clause","id":"sec-typedarray-objects-mods","titleHTML":"Modifications to TypedArray Objects","number":"4"},{"type":"op","aoid":"GetViewByteLength","refId":"sec-getviewbytelength"},{"type":"clause","id":"sec-getviewbytelength","title":"GetViewByteLength ( view, getBufferByteLength )","titleHTML":"GetViewByteLength ( <var>view</var>, <var>getBufferByteLength</var> )","number":"5.1.1","referencingIds":["_ref_68","_ref_70","_ref_76"]},{"type":"op","aoid":"IsViewOutOfBounds","refId":"sec-isviewoutofbounds"},{"type":"clause","id":"sec-isviewoutofbounds","title":"IsViewOutOfBounds ( view, getBufferByteLength )","titleHTML":"IsViewOutOfBounds ( <var>view</var>, <var>getBufferByteLength</var> )","number":"5.1.2","referencingIds":["_ref_25","_ref_27","_ref_65","_ref_75","_ref_78"]},{"type":"op","aoid":"GetViewValue","refId":"sec-getviewvalue"},{"type":"clause","id":"sec-getviewvalue","title":"GetViewValue ( view, requestIndex, isLittleEndian, type )","titleHTML":"GetViewValue ( <var>view</var>, <var>requestIndex</var>, <var>isLittleEndian</var>, <var>type</var> )","number":"5.1.3"},{"type":"op","aoid":"SetViewValue","refId":"sec-setviewvalue"},{"type":"clause","id":"sec-setviewvalue","title":"SetViewValue ( view, requestIndex, isLittleEndian, type, value )","titleHTML":"SetViewValue ( <var>view</var>, <var>requestIndex</var>, <var>isLittleEndian</var>, <var>type</var>, <var>value</var> )","number":"5.1.4"},{"type":"clause","id":"sec-abstract-operations-for-dataview-objects-mods","titleHTML":"Modifications to Abstract Operations For DataView Objects","number":"5.1"},{"type":"clause","id":"sec-dataview-buffer-byteoffset-bytelength","title":"DataView ( buffer [ , byteOffset [ , byteLength ] ] )","titleHTML":"DataView ( <var>buffer</var> [ , <var>byteOffset</var> [ , <var>byteLength</var> ] ] )","number":"5.2.1"},{"type":"clause","id":"sec-dataview-constructor-mods","titleHTML":"Modifications to the DataView Constructor","number":"5.2"},{"type":"clause","id":"sec-get-dataview.prototype.bytelength","titleHTML":"get DataView.prototype.byteLength","number":"5.3.1"},{"type":"clause","id":"sec-get-dataview.prototype.byteoffset","titleHTML":"get DataView.prototype.byteOffset","number":"5.3.2"},{"type":"clause","id":"sec-properties-of-the-dataview-prototype-object-mods","titleHTML":"Modifications to Properties of the DataView Prototype Object","number":"5.3"},{"type":"clause","id":"sec-dataview-objects-mods","titleHTML":"Modifications to DataView Objects","number":"5"},{"type":"clause","id":"sec-atomics.compareexchange","title":"Atomics.compareExchange ( typedArray, index, expectedValue, replacementValue )","titleHTML":"Atomics.compareExchange ( <var>typedArray</var>, <var>index</var>, <var>expectedValue</var>, <var>replacementValue</var> )","number":"6.1.1"},{"type":"clause","id":"sec-atomics.store","title":"Atomics.store ( typedArray, index, value )","titleHTML":"Atomics.store ( <var>typedArray</var>, <var>index</var>, <var>value</var> )","number":"6.1.2"},{"type":"clause","id":"sec-properties-of-the-atomics-object-mods","titleHTML":"Modifications to Properties of the Atomics Object","number":"6.1"},{"type":"op","aoid":"AtomicReadModifyWrite","refId":"sec-atomicreadmodifywrite"},{"type":"clause","id":"sec-atomicreadmodifywrite","title":"AtomicReadModifyWrite ( typedArray, index, value, op )","titleHTML":"AtomicReadModifyWrite ( <var>typedArray</var>, <var>index</var>, <var>value</var>, <var>op</var> )","number":"6.2.1"},{"type":"op","aoid":"ValidateAtomicAccess","refId":"sec-validateatomicaccess"},{"type":"clause","id":"sec-validateatomicaccess","title":"ValidateAtomicAccess ( typedArray, requestIndex )","titleHTML":"ValidateAtomicAccess ( <var>typedArray</var>, <var>requestIndex</var> )","number":"6.2.2","referencingIds":["_ref_79","_ref_82","_ref_83","_ref_86","_ref_89"]},{"type":"clause","id":"sec-abstract-operations-for-atomics-mods","titleHTML":"Modifications to Abstract Operations for Atomics","number":"6.2"},{"type":"clause","id":"sec-atomics-mods","titleHTML":"Modifications to Atomics","number":"6"},{"type":"clause","id":"sec-maxbytelength-guidelines","titleHTML":"Resizable ArrayBuffer and growable SharedArrayBuffer Guidelines","number":"7"},{"type":"clause","id":"omitted-for-brevity","titleHTML":"Mechanical Changes Omitted for Brevity","number":"8"}]}`);
 ;let usesMultipage = false
\ No newline at end of file
@@ -0,0 +1,1273 @@
+'use strict';
+// A reference implementation of the algorithms in spec.html, one function per abstract operation
+// or built-in, named after its clause. It runs in a single agent: the memory orders passed to
+// ArrayBufferByteLength and friends are accepted but every access behaves as ~SeqCst~.
+//
+// Spec objects are plain objects whose own properties are their internal slots, so
+// `'ArrayBufferMaxByteLength' in O` is "O has an [[ArrayBufferMaxByteLength]] internal slot".
+// Data Blocks are Uint8Arrays. ECMAScript Numbers and BigInts stand in for themselves.
+//
+// TypedArraySpeciesCreate is not modelled: %TypedArray%.prototype.slice and subarray always create
+// a TypedArray of the same type as the one they are called on.
+//
+// The spec's Assert steps throw an AssertionError when they fail.
+
+const assert = require('node:assert');
+
+const AUTO = 'auto';
+const OUT_OF_BOUNDS = 'out-of-bounds';
+const EMPTY = 'empty';
+const SEQ_CST = 'SeqCst';
+const UNORDERED = 'Unordered';
+
+// Table 71: The TypedArray Constructors
+const TYPED_ARRAY_TABLE = {
+  Int8Array: { type: 'Int8', size: 1 },
+  Uint8Array: { type: 'Uint8', size: 1 },
+  Uint8ClampedArray: { type: 'Uint8C', size: 1 },
+  Int16Array: { type: 'Int16', size: 2 },
+  Uint16Array: { type: 'Uint16', size: 2 },
+  Int32Array: { type: 'Int32', size: 4 },
+  Uint32Array: { type: 'Uint32', size: 4 },
+  BigInt64Array: { type: 'BigInt64', size: 8 },
+  BigUint64Array: { type: 'BigUint64', size: 8 },
+  Float32Array: { type: 'Float32', size: 4 },
+  Float64Array: { type: 'Float64', size: 8 },
+};
+
+function elementSizeOfType(type) {
+  return Object.values(TYPED_ARRAY_TABLE).find(entry => entry.type === type).size;
+}
+
+// Operations from ECMA-262 that the proposal builds on
+
+let sharedBlocks = new WeakSet();
+
+function CreateByteDataBlock(size) {
+  return new Uint8Array(size);
+}
+
+function CreateSharedByteDataBlock(size) {
+  let block = new Uint8Array(size);
+  sharedBlocks.add(block);
+  return block;
+}
+
+function CopyDataBlockBytes(toBlock, toIndex, fromBlock, fromIndex, count) {
+  toBlock.set(fromBlock.subarray(fromIndex, fromIndex + count), toIndex);
+}
+
+function IsSharedArrayBuffer(obj) {
+  return sharedBlocks.has(obj.ArrayBufferData);
+}
+
+function IsDetachedBuffer(arrayBuffer) {
+  return arrayBuffer.ArrayBufferData === null;
+}
+
+function IsBigIntElementType(type) {
+  return type === 'BigInt64' || type === 'BigUint64';
+}
+
+function RequireInternalSlot(O, internalSlot) {
+  if (O === null || typeof O !== 'object' || !(internalSlot in O)) {
+    throw new TypeError(`object does not have a [[${internalSlot}]] internal slot`);
+  }
+}
+
+// ToNumber throws for these where Number() would convert a BigInt
+function ToNumber(argument) {
+  if (typeof argument === 'bigint' || typeof argument === 'symbol') {
+    throw new TypeError(`cannot convert a ${typeof argument} to a number`);
+  }
+  return Number(argument);
+}
+
+function ToIntegerOrInfinity(argument) {
+  let number = ToNumber(argument);
+  if (Number.isNaN(number) || number === 0) {
+    return 0;
+  }
+  if (!Number.isFinite(number)) {
+    return number;
+  }
+  return Math.trunc(number);
+}
+
+function ToIndex(value) {
+  if (value === undefined) {
+    return 0;
+  }
+  let integer = ToIntegerOrInfinity(value);
+  if (integer < 0 || integer > Number.MAX_SAFE_INTEGER) {
+    throw new RangeError('invalid index');
+  }
+  return integer;
+}
+
+function getDataView(block) {
+  return new DataView(block.buffer, block.byteOffset, block.byteLength);
+}
+
+function GetValueFromBuffer(arrayBuffer, byteIndex, type, isTypedArray, order, isLittleEndian) {
+  let block = arrayBuffer.ArrayBufferData || arrayBuffer;
+  let method = 'get' + (type === 'Uint8C' ? 'Uint8' : type);
+  return getDataView(block)[method](byteIndex, isLittleEndian !== false);
+}
+
+function SetValueInBuffer(
+  arrayBuffer,
+  byteIndex,
+  type,
+  value,
+  isTypedArray,
+  order,
+  isLittleEndian
+) {
+  let block = arrayBuffer.ArrayBufferData || arrayBuffer;
+  let method = 'set' + (type === 'Uint8C' ? 'Uint8' : type);
+  if (type === 'Uint8C') {
+    value = Math.min(Math.max(Math.round(value), 0), 255);
+  }
+  getDataView(block)[method](byteIndex, value, isLittleEndian !== false);
+}
+
+// This agent is little-endian, as GetValueFromBuffer and SetValueInBuffer default to.
+function NumericToRawBytes(type, value, isLittleEndian) {
+  let block = new Uint8Array(elementSizeOfType(type));
+  SetValueInBuffer(block, 0, type, value, true, UNORDERED, isLittleEndian);
+  return [...block];
+}
+
+function RawBytesToNumeric(type, rawBytes, isLittleEndian) {
+  return GetValueFromBuffer(Uint8Array.from(rawBytes), 0, type, true, UNORDERED, isLittleEndian);
+}
+
+function ByteListEqual(xBytes, yBytes) {
+  return xBytes.length === yBytes.length && xBytes.every((byte, i) => byte === yBytes[i]);
+}
+
+// With a single agent the bytes read are the bytes in the block, shared or not.
+function GetModifySetValueInBuffer(arrayBuffer, byteIndex, type, value, op) {
+  let block = arrayBuffer.ArrayBufferData;
+  let elementSize = elementSizeOfType(type);
+  let rawBytes = NumericToRawBytes(type, value, true);
+  let rawBytesRead = [...block.subarray(byteIndex, byteIndex + elementSize)];
+  block.set(op(rawBytesRead, rawBytes), byteIndex);
+  return RawBytesToNumeric(type, rawBytesRead, true);
+}
+
+function CloneArrayBuffer(srcBuffer, srcByteOffset, srcLength) {
+  assert(!IsDetachedBuffer(srcBuffer));
+  let targetBuffer = AllocateArrayBuffer(ArrayBufferConstructor, srcLength);
+  let srcBlock = srcBuffer.ArrayBufferData;
+  CopyDataBlockBytes(targetBuffer.ArrayBufferData, 0, srcBlock, srcByteOffset, srcLength);
+  return targetBuffer;
+}
+
+function TypedArrayElementType(O) {
+  return TYPED_ARRAY_TABLE[O.TypedArrayName].type;
+}
+
+function TypedArrayElementSize(O) {
+  return TYPED_ARRAY_TABLE[O.TypedArrayName].size;
+}
+
+// sec-detacharraybuffer
+function DetachArrayBuffer(arrayBuffer, key) {
+  assert(!IsSharedArrayBuffer(arrayBuffer));
+  if (arrayBuffer.ArrayBufferDetachKey !== key) {
+    throw new TypeError('detach key mismatch');
+  }
+  arrayBuffer.ArrayBufferData = null;
+  arrayBuffer.ArrayBufferByteLength = 0;
+}
+
+// sec-allocatearraybuffer
+function AllocateArrayBuffer(constructor, byteLength, maxByteLength = EMPTY) {
+  let obj = { ArrayBufferData: null, ArrayBufferByteLength: 0, ArrayBufferDetachKey: undefined };
+  if (maxByteLength !== EMPTY) {
+    if (byteLength > maxByteLength) {
+      throw new RangeError('byteLength exceeds maxByteLength');
+    }
+    obj.ArrayBufferMaxByteLength = 0;
+  }
+  let block = CreateByteDataBlock(byteLength);
+  obj.ArrayBufferData = block;
+  obj.ArrayBufferByteLength = byteLength;
+  if (maxByteLength !== EMPTY) {
+    obj.ArrayBufferMaxByteLength = maxByteLength;
+  }
+  return obj;
+}
+
+// sec-arraybufferlength
+function ArrayBufferByteLength(arrayBuffer, order) {
+  if (IsSharedArrayBuffer(arrayBuffer) && 'ArrayBufferByteLengthData' in arrayBuffer) {
+    let bufferByteLengthBlock = arrayBuffer.ArrayBufferByteLengthData;
+    return Number(GetValueFromBuffer(bufferByteLengthBlock, 0, 'BigUint64', true, order));
+  }
+  assert(!IsDetachedBuffer(arrayBuffer));
+  return arrayBuffer.ArrayBufferByteLength;
+}
+
+// sec-makeidempotentarraybufferbytelengthgetter
+function MakeIdempotentArrayBufferByteLengthGetter(order) {
+  let lengthStorage = { ArrayBuffer: EMPTY, ByteLength: EMPTY };
+  return buffer => {
+    if (lengthStorage.ByteLength === EMPTY) {
+      assert(lengthStorage.ArrayBuffer === EMPTY);
+      lengthStorage.ArrayBuffer = buffer;
+      lengthStorage.ByteLength = ArrayBufferByteLength(buffer, order);
+    }
+    assert(lengthStorage.ArrayBuffer === buffer);
+    return lengthStorage.ByteLength;
+  };
+}
+
+// sec-isresizablearraybuffer
+function IsResizableArrayBuffer(arrayBuffer) {
+  return 'ArrayBufferMaxByteLength' in arrayBuffer;
+}
+
+// sec-getarraybuffermaxbytelengthoption
+function GetArrayBufferMaxByteLengthOption(options) {
+  if (options === null || (typeof options !== 'object' && typeof options !== 'function')) {
+    return EMPTY;
+  }
+  let maxByteLength = options.maxByteLength;
+  if (maxByteLength === undefined) {
+    return EMPTY;
+  }
+  return ToIndex(maxByteLength);
+}
+
+// sec-hostresizearraybuffer
+let host = {
+  HostResizeArrayBuffer(buffer, newByteLength) {
+    return 'unhandled';
+  },
+  HostGrowSharedArrayBuffer(buffer, newByteLength) {
+    return 'unhandled';
+  },
+};
+
+// sec-arraybuffer-length
+function ArrayBufferConstructor(length, options) {
+  let byteLength = ToIndex(length);
+  let requestedMaxByteLength = GetArrayBufferMaxByteLengthOption(options);
+  return AllocateArrayBuffer(ArrayBufferConstructor, byteLength, requestedMaxByteLength);
+}
+
+// sec-get-arraybuffer.prototype.maxbytelength
+function getArrayBufferPrototypeMaxByteLength(O) {
+  RequireInternalSlot(O, 'ArrayBufferData');
+  if (IsSharedArrayBuffer(O)) {
+    throw new TypeError('not an ArrayBuffer');
+  }
+  if (IsDetachedBuffer(O)) {
+    return 0;
+  }
+  return IsResizableArrayBuffer(O) ? O.ArrayBufferMaxByteLength : O.ArrayBufferByteLength;
+}
+
+// sec-get-arraybuffer.prototype.resizable
+function getArrayBufferPrototypeResizable(O) {
+  RequireInternalSlot(O, 'ArrayBufferData');
+  if (IsSharedArrayBuffer(O)) {
+    throw new TypeError('not an ArrayBuffer');
+  }
+  return IsResizableArrayBuffer(O);
+}
+
+// An index counted from the end when negative, clamped to 0..len.
+function resolveRelativeIndex(relative, len) {
+  if (relative === -Infinity) {
+    return 0;
+  } else if (relative < 0) {
+    return Math.max(len + relative, 0);
+  }
+  return Math.min(relative, len);
+}
+
+function resolveSliceBounds(len, start, end) {
+  let first = resolveRelativeIndex(ToIntegerOrInfinity(start), len);
+  let final = resolveRelativeIndex(end === undefined ? len : ToIntegerOrInfinity(end), len);
+  return { first, newLen: Math.max(final - first, 0) };
+}
+
+// sec-arraybuffer.prototype.slice
+// SpeciesConstructor is not modelled: the result is always a new fixed-length ArrayBuffer.
+function ArrayBufferPrototypeSlice(O, start, end) {
+  RequireInternalSlot(O, 'ArrayBufferData');
+  if (IsSharedArrayBuffer(O)) {
+    throw new TypeError('not an ArrayBuffer');
+  }
+  if (IsDetachedBuffer(O)) {
+    throw new TypeError('buffer is detached');
+  }
+  let len = O.ArrayBufferByteLength;
+  let { first, newLen } = resolveSliceBounds(len, start, end);
+  let newBuffer = ArrayBufferConstructor(newLen);
+  if (IsDetachedBuffer(O)) {
+    throw new TypeError('buffer is detached');
+  }
+  let fromBuf = O.ArrayBufferData;
+  let toBuf = newBuffer.ArrayBufferData;
+  if (first < O.ArrayBufferByteLength) {
+    CopyDataBlockBytes(toBuf, 0, fromBuf, first, Math.min(O.ArrayBufferByteLength, newLen));
+  }
+  return newBuffer;
+}
+
+// sec-arraybuffer.prototype.resize
+function ArrayBufferPrototypeResize(O, newLength) {
+  RequireInternalSlot(O, 'ArrayBufferMaxByteLength');
+  if (IsSharedArrayBuffer(O)) {
+    throw new TypeError('not an ArrayBuffer');
+  }
+  if (IsDetachedBuffer(O)) {
+    throw new TypeError('buffer is detached');
+  }
+  let newByteLength = ToIntegerOrInfinity(newLength);
+  if (newByteLength < 0 || newByteLength > O.ArrayBufferMaxByteLength) {
+    throw new RangeError('invalid length');
+  }
+  let hostHandled = host.HostResizeArrayBuffer(O, newByteLength);
+  if (hostHandled === 'handled') {
+    return undefined;
+  }
+  let oldBlock = O.ArrayBufferData;
+  let newBlock = CreateByteDataBlock(newByteLength);
+  let copyLength = Math.min(newByteLength, O.ArrayBufferByteLength);
+  CopyDataBlockBytes(newBlock, 0, oldBlock, 0, copyLength);
+  O.ArrayBufferData = newBlock;
+  O.ArrayBufferByteLength = newByteLength;
+  return undefined;
+}
+
+// sec-allocatesharedarraybuffer
+function AllocateSharedArrayBuffer(constructor, byteLength, maxByteLength = EMPTY) {
+  let obj = { ArrayBufferData: null };
+  if (maxByteLength !== EMPTY) {
+    if (byteLength > maxByteLength) {
+      throw new RangeError('byteLength exceeds maxByteLength');
+    }
+    obj.ArrayBufferByteLengthData = null;
+    obj.ArrayBufferMaxByteLength = 0;
+  } else {
+    obj.ArrayBufferByteLength = 0;
+  }
+  let allocLength = maxByteLength !== EMPTY ? maxByteLength : byteLength;
+  let block = CreateSharedByteDataBlock(allocLength);
+  obj.ArrayBufferData = block;
+  if (maxByteLength !== EMPTY) {
+    assert(byteLength <= maxByteLength);
+    let byteLengthBlock = CreateSharedByteDataBlock(8);
+    SetValueInBuffer(byteLengthBlock, 0, 'BigUint64', BigInt(byteLength), true, SEQ_CST);
+    obj.ArrayBufferByteLengthData = byteLengthBlock;
+    obj.ArrayBufferMaxByteLength = maxByteLength;
+  } else {
+    obj.ArrayBufferByteLength = byteLength;
+  }
+  return obj;
+}
+
+// sec-sharedarraybuffer-length
+function SharedArrayBufferConstructor(length, options) {
+  let byteLength = ToIndex(length);
+  let requestedMaxByteLength = GetArrayBufferMaxByteLengthOption(options);
+  return AllocateSharedArrayBuffer(
+    SharedArrayBufferConstructor,
+    byteLength,
+    requestedMaxByteLength
+  );
+}
+
+// sec-get-sharedarraybuffer.prototype.bytelength
+function getSharedArrayBufferPrototypeByteLength(O) {
+  RequireInternalSlot(O, 'ArrayBufferData');
+  if (!IsSharedArrayBuffer(O)) {
+    throw new TypeError('not a SharedArrayBuffer');
+  }
+  return ArrayBufferByteLength(O, SEQ_CST);
+}
+
+// sec-get-sharedarraybuffer.prototype.growable
+function getSharedArrayBufferPrototypeGrowable(O) {
+  RequireInternalSlot(O, 'ArrayBufferData');
+  if (!IsSharedArrayBuffer(O)) {
+    throw new TypeError('not a SharedArrayBuffer');
+  }
+  return IsResizableArrayBuffer(O);
+}
+
+// sec-get-sharedarraybuffer.prototype.maxbytelength
+function getSharedArrayBufferPrototypeMaxByteLength(O) {
+  RequireInternalSlot(O, 'ArrayBufferData');
+  if (!IsSharedArrayBuffer(O)) {
+    throw new TypeError('not a SharedArrayBuffer');
+  }
+  return IsResizableArrayBuffer(O) ? O.ArrayBufferMaxByteLength : O.ArrayBufferByteLength;
+}
+
+// sec-sharedarraybuffer.prototype.grow
+// With a single agent the read-modify-write of the byte length cannot race, so the
+// nondeterministically chosen bytes are the current byte length.
+function SharedArrayBufferPrototypeGrow(O, newLength) {
+  RequireInternalSlot(O, 'ArrayBufferMaxByteLength');
+  if (!IsSharedArrayBuffer(O)) {
+    throw new TypeError('not a SharedArrayBuffer');
+  }
+  let newByteLength = ToIntegerOrInfinity(newLength);
+  let hostHandled = host.HostGrowSharedArrayBuffer(O, newByteLength);
+  if (hostHandled === 'handled') {
+    return undefined;
+  }
+  let byteLengthBlock = O.ArrayBufferByteLengthData;
+  let currentByteLength = ArrayBufferByteLength(O, SEQ_CST);
+  let growFailed = false;
+  if (newByteLength < currentByteLength || newByteLength > O.ArrayBufferMaxByteLength) {
+    growFailed = true;
+  }
+  if (!growFailed && newByteLength !== currentByteLength) {
+    SetValueInBuffer(byteLengthBlock, 0, 'BigUint64', BigInt(newByteLength), true, SEQ_CST);
+  }
+  if (growFailed) {
+    throw new RangeError('invalid length');
+  }
+  return undefined;
+}
+
+// sec-sharedarraybuffer.prototype.slice
+function SharedArrayBufferPrototypeSlice(O, start, end) {
+  RequireInternalSlot(O, 'ArrayBufferData');
+  if (!IsSharedArrayBuffer(O)) {
+    throw new TypeError('not a SharedArrayBuffer');
+  }
+  let len = ArrayBufferByteLength(O, SEQ_CST);
+  let { first, newLen } = resolveSliceBounds(len, start, end);
+  let newBuffer = SharedArrayBufferConstructor(newLen);
+  CopyDataBlockBytes(newBuffer.ArrayBufferData, 0, O.ArrayBufferData, first, newLen);
+  return newBuffer;
+}
+
+// sec-integer-indexed-exotic-objects-ownpropertykeys
+// Only the integer index keys; TypedArrays here have no ordinary own properties.
+function IntegerIndexedObjectOwnPropertyKeys(O) {
+  let keys = [];
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let len = IntegerIndexedObjectLength(O, getBufferByteLength);
+  if (len !== OUT_OF_BOUNDS) {
+    for (let i = 0; i < len; i++) {
+      keys.push(String(i));
+    }
+  }
+  return keys;
+}
+
+// sec-isvalidintegerindex
+function IsValidIntegerIndex(O, index) {
+  if (!Number.isInteger(index)) {
+    return false;
+  }
+  if (Object.is(index, -0)) {
+    return false;
+  }
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(UNORDERED);
+  let length = IntegerIndexedObjectLength(O, getBufferByteLength);
+  if (length === OUT_OF_BOUNDS || index < 0 || index >= length) {
+    return false;
+  }
+  return true;
+}
+
+// sec-integerindexedobjectbytelength
+function IntegerIndexedObjectByteLength(O, getBufferByteLength) {
+  let length = IntegerIndexedObjectLength(O, getBufferByteLength);
+  if (length === OUT_OF_BOUNDS || length === 0) {
+    return 0;
+  }
+  if (O.ByteLength !== AUTO) {
+    return O.ByteLength;
+  }
+  let elementSize = TypedArrayElementSize(O);
+  return length * elementSize;
+}
+
+// sec-integerindexedobjectlength
+function IntegerIndexedObjectLength(O, getBufferByteLength) {
+  if (IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength)) {
+    return OUT_OF_BOUNDS;
+  }
+  if (O.ArrayLength !== AUTO) {
+    return O.ArrayLength;
+  }
+  let buffer = O.ViewedArrayBuffer;
+  let bufferByteLength = getBufferByteLength(buffer);
+  assert(IsResizableArrayBuffer(buffer));
+  let byteOffset = O.ByteOffset;
+  let elementSize = TypedArrayElementSize(O);
+  return Math.floor((bufferByteLength - byteOffset) / elementSize);
+}
+
+// sec-isintegerindexedobjectoutofbounds
+function IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength) {
+  let buffer = O.ViewedArrayBuffer;
+  if (IsDetachedBuffer(O.ViewedArrayBuffer)) {
+    return true;
+  }
+  let bufferByteLength = getBufferByteLength(buffer);
+  let byteOffsetStart = O.ByteOffset;
+  let byteOffsetEnd;
+  if (O.ArrayLength === AUTO) {
+    byteOffsetEnd = bufferByteLength;
+  } else {
+    let elementSize = TypedArrayElementSize(O);
+    byteOffsetEnd = byteOffsetStart + O.ArrayLength * elementSize;
+  }
+  if (byteOffsetStart > bufferByteLength || byteOffsetEnd > bufferByteLength) {
+    return true;
+  }
+  return false;
+}
+
+// sec-isarraybufferviewoutofbounds
+function IsArrayBufferViewOutOfBounds(O) {
+  let buffer = O.ViewedArrayBuffer;
+  if (IsDetachedBuffer(buffer)) {
+    return true;
+  }
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  if (IsSharedArrayBuffer(buffer)) {
+    return false;
+  }
+  if ('DataView' in O) {
+    return IsViewOutOfBounds(O, getBufferByteLength);
+  }
+  return IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength);
+}
+
+// sec-validatetypedarray
+function ValidateTypedArray(O) {
+  RequireInternalSlot(O, 'TypedArrayName');
+  let buffer = O.ViewedArrayBuffer;
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  if (IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength)) {
+    throw new TypeError('TypedArray is out of bounds');
+  }
+  return buffer;
+}
+
+// sec-get-%typedarray%.prototype.bytelength
+function getTypedArrayPrototypeByteLength(O) {
+  RequireInternalSlot(O, 'TypedArrayName');
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  return IntegerIndexedObjectByteLength(O, getBufferByteLength);
+}
+
+// sec-get-%typedarray%.prototype.byteoffset
+function getTypedArrayPrototypeByteOffset(O) {
+  RequireInternalSlot(O, 'TypedArrayName');
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  if (IsIntegerIndexedObjectOutOfBounds(O, getBufferByteLength)) {
+    return 0;
+  }
+  return O.ByteOffset;
+}
+
+// sec-get-%typedarray%.prototype.length
+function getTypedArrayPrototypeLength(O) {
+  RequireInternalSlot(O, 'TypedArrayName');
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let length = IntegerIndexedObjectLength(O, getBufferByteLength);
+  if (length === OUT_OF_BOUNDS) {
+    length = 0;
+  }
+  return length;
+}
+
+// sec-%typedarray%.prototype.copywithin
+function TypedArrayPrototypeCopyWithin(O, target, start, end) {
+  ValidateTypedArray(O);
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let len = IntegerIndexedObjectLength(O, getBufferByteLength);
+  assert(len !== OUT_OF_BOUNDS);
+  let to = resolveRelativeIndex(ToIntegerOrInfinity(target), len);
+  let from = resolveRelativeIndex(ToIntegerOrInfinity(start), len);
+  let final = resolveRelativeIndex(end === undefined ? len : ToIntegerOrInfinity(end), len);
+  let count = Math.min(final - from, len - to);
+  if (count > 0) {
+    let buffer = O.ViewedArrayBuffer;
+    getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+    len = IntegerIndexedObjectLength(O, getBufferByteLength);
+    if (len === OUT_OF_BOUNDS) {
+      throw new TypeError('TypedArray is out of bounds');
+    }
+    let elementSize = TypedArrayElementSize(O);
+    let byteOffset = O.ByteOffset;
+    let bufferByteLimit = len * elementSize + byteOffset;
+    let toByteIndex = to * elementSize + byteOffset;
+    let fromByteIndex = from * elementSize + byteOffset;
+    let countBytes = count * elementSize;
+    let direction;
+    if (fromByteIndex < toByteIndex && toByteIndex < fromByteIndex + countBytes) {
+      direction = -1;
+      fromByteIndex = fromByteIndex + countBytes - 1;
+      toByteIndex = toByteIndex + countBytes - 1;
+    } else {
+      direction = 1;
+    }
+    while (countBytes > 0) {
+      if (fromByteIndex < bufferByteLimit && toByteIndex < bufferByteLimit) {
+        let value = GetValueFromBuffer(buffer, fromByteIndex, 'Uint8', true, UNORDERED);
+        SetValueInBuffer(buffer, toByteIndex, 'Uint8', value, true, UNORDERED);
+        fromByteIndex = fromByteIndex + direction;
+        toByteIndex = toByteIndex + direction;
+      }
+      countBytes = countBytes - 1;
+    }
+  }
+  return O;
+}
+
+// sec-%typedarray%.prototype.fill
+function TypedArrayPrototypeFill(O, value, start, end) {
+  ValidateTypedArray(O);
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let len = IntegerIndexedObjectLength(O, getBufferByteLength);
+  assert(len !== OUT_OF_BOUNDS);
+  value = O.ContentType === 'BigInt' ? BigInt(value) : ToNumber(value);
+  let k = resolveRelativeIndex(ToIntegerOrInfinity(start), len);
+  let final = resolveRelativeIndex(end === undefined ? len : ToIntegerOrInfinity(end), len);
+  getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  len = IntegerIndexedObjectLength(O, getBufferByteLength);
+  if (len === OUT_OF_BOUNDS) {
+    throw new TypeError('TypedArray is out of bounds');
+  }
+  final = Math.min(final, len);
+  while (k < final) {
+    TypedArraySetIndex(O, k, value);
+    k = k + 1;
+  }
+  return O;
+}
+
+// sec-%typedarray%.prototype.slice
+// A has the same element type as O, so the element-by-element copy of step 16.j never runs.
+function TypedArrayPrototypeSlice(O, start, end) {
+  ValidateTypedArray(O);
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let len = IntegerIndexedObjectLength(O, getBufferByteLength);
+  assert(len !== OUT_OF_BOUNDS);
+  let k = resolveRelativeIndex(ToIntegerOrInfinity(start), len);
+  let final = resolveRelativeIndex(end === undefined ? len : ToIntegerOrInfinity(end), len);
+  let count = Math.max(final - k, 0);
+  let elementSize = TypedArrayElementSize(O);
+  let A = TypedArrayConstructor(O.TypedArrayName, ArrayBufferConstructor(count * elementSize), 0);
+  if (count > 0) {
+    getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+    len = IntegerIndexedObjectLength(O, getBufferByteLength);
+    if (len === OUT_OF_BOUNDS) {
+      throw new TypeError('TypedArray is out of bounds');
+    }
+    final = Math.min(final, len);
+    let srcBuffer = O.ViewedArrayBuffer;
+    let targetBuffer = A.ViewedArrayBuffer;
+    let srcByteOffset = O.ByteOffset;
+    let targetByteIndex = A.ByteOffset;
+    let srcByteIndex = k * elementSize + srcByteOffset;
+    // As written, the limit ignores the updated final, so a buffer that shrank below k + count
+    // is read past its end.
+    let limit = targetByteIndex + Math.min(count, len) * elementSize;
+    while (targetByteIndex < limit) {
+      let value = GetValueFromBuffer(srcBuffer, srcByteIndex, 'Uint8', true, UNORDERED);
+      SetValueInBuffer(targetBuffer, targetByteIndex, 'Uint8', value, true, UNORDERED);
+      srcByteIndex = srcByteIndex + 1;
+      targetByteIndex = targetByteIndex + 1;
+    }
+  }
+  return A;
+}
+
+// sec-%typedarray%.prototype.subarray
+function TypedArrayPrototypeSubarray(O, begin, end) {
+  RequireInternalSlot(O, 'TypedArrayName');
+  assert('ViewedArrayBuffer' in O);
+  let buffer = O.ViewedArrayBuffer;
+  let getSrcBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let srcLength = IntegerIndexedObjectLength(O, getSrcBufferByteLength);
+  if (srcLength === OUT_OF_BOUNDS) {
+    srcLength = 0;
+  }
+  let beginIndex = resolveRelativeIndex(ToIntegerOrInfinity(begin), srcLength);
+  let newLength;
+  if (O.ArrayLength === AUTO && end === undefined) {
+    newLength = undefined;
+  } else {
+    let relativeEnd = end === undefined ? srcLength : ToIntegerOrInfinity(end);
+    let endIndex = resolveRelativeIndex(relativeEnd, srcLength);
+    newLength = Math.max(endIndex - beginIndex, 0);
+  }
+  let elementSize = TypedArrayElementSize(O);
+  let srcByteOffset = O.ByteOffset;
+  let beginByteOffset = srcByteOffset + beginIndex * elementSize;
+  return TypedArrayConstructor(O.TypedArrayName, buffer, beginByteOffset, newLength);
+}
+
+// sec-settypedarrayfromtypedarray
+function SetTypedArrayFromTypedArray(target, targetOffset, source) {
+  assert('TypedArrayName' in source);
+  let targetBuffer = target.ViewedArrayBuffer;
+  let getTargetBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let targetLength = IntegerIndexedObjectLength(target, getTargetBufferByteLength);
+  if (targetLength === OUT_OF_BOUNDS) {
+    throw new TypeError('target TypedArray is out of bounds');
+  }
+  let srcBuffer = source.ViewedArrayBuffer;
+  let targetType = TypedArrayElementType(target);
+  let targetElementSize = TypedArrayElementSize(target);
+  let targetByteOffset = target.ByteOffset;
+  let srcType = TypedArrayElementType(source);
+  let srcElementSize = TypedArrayElementSize(source);
+  let getSrcBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let srcLength = IntegerIndexedObjectLength(source, getSrcBufferByteLength);
+  if (srcLength === OUT_OF_BOUNDS) {
+    throw new TypeError('source TypedArray is out of bounds');
+  }
+  let srcByteOffset = source.ByteOffset;
+  if (targetOffset === Infinity) {
+    throw new RangeError('invalid offset');
+  }
+  if (srcLength + targetOffset > targetLength) {
+    throw new RangeError('source is too long');
+  }
+  if (target.ContentType !== source.ContentType) {
+    throw new TypeError('cannot mix BigInt and Number TypedArrays');
+  }
+  let same;
+  if (IsSharedArrayBuffer(srcBuffer) && IsSharedArrayBuffer(targetBuffer)) {
+    same = srcBuffer.ArrayBufferData === targetBuffer.ArrayBufferData;
+  } else {
+    same = srcBuffer === targetBuffer;
+  }
+  let srcByteIndex;
+  if (same) {
+    let srcByteLength = IntegerIndexedObjectByteLength(source, getSrcBufferByteLength);
+    srcBuffer = CloneArrayBuffer(srcBuffer, srcByteOffset, srcByteLength);
+    srcByteIndex = 0;
+  } else {
+    srcByteIndex = srcByteOffset;
+  }
+  let targetByteIndex = targetOffset * targetElementSize + targetByteOffset;
+  let limit = targetByteIndex + targetElementSize * srcLength;
+  if (srcType === targetType) {
+    while (targetByteIndex < limit) {
+      let value = GetValueFromBuffer(srcBuffer, srcByteIndex, 'Uint8', true, UNORDERED);
+      SetValueInBuffer(targetBuffer, targetByteIndex, 'Uint8', value, true, UNORDERED);
+      srcByteIndex = srcByteIndex + 1;
+      targetByteIndex = targetByteIndex + 1;
+    }
+  } else {
+    while (targetByteIndex < limit) {
+      let value = GetValueFromBuffer(srcBuffer, srcByteIndex, srcType, true, UNORDERED);
+      SetValueInBuffer(targetBuffer, targetByteIndex, targetType, value, true, UNORDERED);
+      srcByteIndex = srcByteIndex + srcElementSize;
+      targetByteIndex = targetByteIndex + targetElementSize;
+    }
+  }
+}
+
+// sec-initializetypedarrayfromtypedarray
+function InitializeTypedArrayFromTypedArray(O, srcArray) {
+  let srcData = srcArray.ViewedArrayBuffer;
+  let elementType = TypedArrayElementType(O);
+  let elementSize = TypedArrayElementSize(O);
+  let getSrcBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  let elementLength = IntegerIndexedObjectLength(srcArray, getSrcBufferByteLength);
+  if (elementLength === OUT_OF_BOUNDS) {
+    throw new TypeError('source TypedArray is out of bounds');
+  }
+  let srcType = TypedArrayElementType(srcArray);
+  let srcElementSize = TypedArrayElementSize(srcArray);
+  let srcByteOffset = srcArray.ByteOffset;
+  let byteLength = elementSize * elementLength;
+  let data;
+  if (elementType === srcType) {
+    data = CloneArrayBuffer(srcData, srcByteOffset, byteLength);
+  } else {
+    data = AllocateArrayBuffer(ArrayBufferConstructor, byteLength);
+    if (srcArray.ContentType !== O.ContentType) {
+      throw new TypeError('cannot mix BigInt and Number TypedArrays');
+    }
+    let srcByteIndex = srcByteOffset;
+    let targetByteIndex = 0;
+    let count = elementLength;
+    while (count > 0) {
+      let value = GetValueFromBuffer(srcData, srcByteIndex, srcType, true, UNORDERED);
+      SetValueInBuffer(data, targetByteIndex, elementType, value, true, UNORDERED);
+      srcByteIndex = srcByteIndex + srcElementSize;
+      targetByteIndex = targetByteIndex + elementSize;
+      count = count - 1;
+    }
+  }
+  O.ViewedArrayBuffer = data;
+  O.ByteLength = byteLength;
+  O.ByteOffset = 0;
+  O.ArrayLength = elementLength;
+}
+
+// sec-initializetypedarrayfromarraybuffer
+function InitializeTypedArrayFromArrayBuffer(O, buffer, byteOffset, length) {
+  let elementSize = TypedArrayElementSize(O);
+  let offset = ToIndex(byteOffset);
+  if (offset % elementSize !== 0) {
+    throw new RangeError('byteOffset is not a multiple of the element size');
+  }
+  let bufferIsResizable = IsResizableArrayBuffer(buffer);
+  let newLength;
+  if (length !== undefined) {
+    newLength = ToIndex(length);
+  }
+  if (IsDetachedBuffer(buffer)) {
+    throw new TypeError('buffer is detached');
+  }
+  let bufferByteLength = ArrayBufferByteLength(buffer, SEQ_CST);
+  if (length === undefined && bufferIsResizable) {
+    if (offset > bufferByteLength) {
+      throw new RangeError('byteOffset is past the end of the buffer');
+    }
+    O.ByteLength = AUTO;
+    O.ArrayLength = AUTO;
+  } else {
+    let newByteLength;
+    if (length === undefined) {
+      if (bufferByteLength % elementSize !== 0) {
+        throw new RangeError('buffer length is not a multiple of the element size');
+      }
+      newByteLength = bufferByteLength - offset;
+      if (newByteLength < 0) {
+        throw new RangeError('byteOffset is past the end of the buffer');
+      }
+    } else {
+      newByteLength = newLength * elementSize;
+      if (offset + newByteLength > bufferByteLength) {
+        throw new RangeError('length is past the end of the buffer');
+      }
+    }
+    O.ByteLength = newByteLength;
+    O.ArrayLength = newByteLength / elementSize;
+  }
+  O.ViewedArrayBuffer = buffer;
+  O.ByteOffset = offset;
+}
+
+// A TypedArray with no buffer yet, for the Initialize operations to fill in.
+function AllocateTypedArray(typedArrayName) {
+  let type = TYPED_ARRAY_TABLE[typedArrayName].type;
+  return {
+    TypedArrayName: typedArrayName,
+    ContentType: IsBigIntElementType(type) ? 'BigInt' : 'Number',
+    ViewedArrayBuffer: null,
+    ByteLength: 0,
+    ByteOffset: 0,
+    ArrayLength: 0,
+  };
+}
+
+// The `new TypedArray(buffer, byteOffset, length)` form of the TypedArray constructors.
+function TypedArrayConstructor(typedArrayName, buffer, byteOffset, length) {
+  RequireInternalSlot(buffer, 'ArrayBufferData');
+  let O = AllocateTypedArray(typedArrayName);
+  InitializeTypedArrayFromArrayBuffer(O, buffer, byteOffset, length);
+  return O;
+}
+
+// IntegerIndexedElementGet and IntegerIndexedElementSet, i.e. `ta[index]`
+function TypedArrayGetIndex(O, index) {
+  if (!IsValidIntegerIndex(O, index)) {
+    return undefined;
+  }
+  let offset = O.ByteOffset;
+  let elementSize = TypedArrayElementSize(O);
+  let byteIndexInBuffer = index * elementSize + offset;
+  let elementType = TypedArrayElementType(O);
+  return GetValueFromBuffer(O.ViewedArrayBuffer, byteIndexInBuffer, elementType, true, UNORDERED);
+}
+
+function TypedArraySetIndex(O, index, value) {
+  let numValue = O.ContentType === 'BigInt' ? BigInt(value) : Number(value);
+  if (IsValidIntegerIndex(O, index)) {
+    let offset = O.ByteOffset;
+    let elementSize = TypedArrayElementSize(O);
+    let byteIndexInBuffer = index * elementSize + offset;
+    let elementType = TypedArrayElementType(O);
+    SetValueInBuffer(
+      O.ViewedArrayBuffer,
+      byteIndexInBuffer,
+      elementType,
+      numValue,
+      true,
+      UNORDERED
+    );
+  }
+}
+
+// sec-getviewbytelength
+function GetViewByteLength(view, getBufferByteLength) {
+  if (IsViewOutOfBounds(view, getBufferByteLength)) {
+    return OUT_OF_BOUNDS;
+  }
+  if (view.ByteLength !== AUTO) {
+    return view.ByteLength;
+  }
+  let buffer = view.ViewedArrayBuffer;
+  let bufferByteLength = getBufferByteLength(buffer);
+  assert(IsResizableArrayBuffer(buffer));
+  let byteOffset = view.ByteOffset;
+  return bufferByteLength - byteOffset;
+}
+
+// sec-isviewoutofbounds
+function IsViewOutOfBounds(view, getBufferByteLength) {
+  let buffer = view.ViewedArrayBuffer;
+  if (IsDetachedBuffer(buffer)) {
+    return true;
+  }
+  let bufferByteLength = getBufferByteLength(buffer);
+  let byteOffsetStart = view.ByteOffset;
+  let byteOffsetEnd;
+  if (view.ByteLength === AUTO) {
+    byteOffsetEnd = bufferByteLength;
+  } else {
+    byteOffsetEnd = byteOffsetStart + view.ByteLength;
+  }
+  if (byteOffsetStart > bufferByteLength || byteOffsetEnd > bufferByteLength) {
+    return true;
+  }
+  return false;
+}
+
+// sec-getviewvalue
+function GetViewValue(view, requestIndex, isLittleEndian, type) {
+  RequireInternalSlot(view, 'DataView');
+  let getIndex = ToIndex(requestIndex);
+  isLittleEndian = Boolean(isLittleEndian);
+  let buffer = view.ViewedArrayBuffer;
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(UNORDERED);
+  let viewOffset = view.ByteOffset;
+  let viewSize = GetViewByteLength(view, getBufferByteLength);
+  if (viewSize === OUT_OF_BOUNDS) {
+    throw new TypeError('DataView is out of bounds');
+  }
+  let elementSize = elementSizeOfType(type);
+  if (getIndex + elementSize > viewSize) {
+    throw new RangeError('offset is outside the bounds of the DataView');
+  }
+  let bufferIndex = getIndex + viewOffset;
+  return GetValueFromBuffer(buffer, bufferIndex, type, false, UNORDERED, isLittleEndian);
+}
+
+// sec-setviewvalue
+function SetViewValue(view, requestIndex, isLittleEndian, type, value) {
+  RequireInternalSlot(view, 'DataView');
+  let getIndex = ToIndex(requestIndex);
+  let numberValue = IsBigIntElementType(type) ? BigInt(value) : Number(value);
+  isLittleEndian = Boolean(isLittleEndian);
+  let buffer = view.ViewedArrayBuffer;
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(UNORDERED);
+  let viewOffset = view.ByteOffset;
+  let viewSize = GetViewByteLength(view, getBufferByteLength);
+  if (viewSize === OUT_OF_BOUNDS) {
+    throw new TypeError('DataView is out of bounds');
+  }
+  let elementSize = elementSizeOfType(type);
+  if (getIndex + elementSize > viewSize) {
+    throw new RangeError('offset is outside the bounds of the DataView');
+  }
+  let bufferIndex = getIndex + viewOffset;
+  SetValueInBuffer(buffer, bufferIndex, type, numberValue, false, UNORDERED, isLittleEndian);
+  return undefined;
+}
+
+// sec-dataview-buffer-byteoffset-bytelength
+function DataViewConstructor(buffer, byteOffset, byteLength) {
+  RequireInternalSlot(buffer, 'ArrayBufferData');
+  let offset = ToIndex(byteOffset);
+  if (IsDetachedBuffer(buffer)) {
+    throw new TypeError('buffer is detached');
+  }
+  let bufferByteLength = ArrayBufferByteLength(buffer, SEQ_CST);
+  if (offset > bufferByteLength) {
+    throw new RangeError('byteOffset is past the end of the buffer');
+  }
+  let bufferIsResizable = IsResizableArrayBuffer(buffer);
+  let byteLengthChecked = EMPTY;
+  let viewByteLength;
+  if (bufferIsResizable && byteLength === undefined) {
+    viewByteLength = AUTO;
+  } else if (byteLength === undefined) {
+    viewByteLength = bufferByteLength - offset;
+  } else {
+    byteLengthChecked = ToIndex(byteLength);
+    viewByteLength = byteLengthChecked;
+    if (offset + viewByteLength > bufferByteLength) {
+      throw new RangeError('byteLength is past the end of the buffer');
+    }
+  }
+  let O = { DataView: true, ViewedArrayBuffer: null, ByteLength: 0, ByteOffset: 0 };
+  if (IsDetachedBuffer(buffer)) {
+    throw new TypeError('buffer is detached');
+  }
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  bufferByteLength = getBufferByteLength(buffer);
+  if (offset > bufferByteLength) {
+    throw new RangeError('byteOffset is past the end of the buffer');
+  }
+  if (byteLengthChecked !== EMPTY) {
+    if (offset + viewByteLength > bufferByteLength) {
+      throw new RangeError('byteLength is past the end of the buffer');
+    }
+  }
+  O.ViewedArrayBuffer = buffer;
+  O.ByteLength = viewByteLength;
+  O.ByteOffset = offset;
+  return O;
+}
+
+// sec-get-dataview.prototype.bytelength
+function getDataViewPrototypeByteLength(O) {
+  RequireInternalSlot(O, 'DataView');
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  if (IsViewOutOfBounds(O, getBufferByteLength)) {
+    throw new TypeError('DataView is out of bounds');
+  }
+  return GetViewByteLength(O, getBufferByteLength);
+}
+
+// sec-get-dataview.prototype.byteoffset
+function getDataViewPrototypeByteOffset(O) {
+  RequireInternalSlot(O, 'DataView');
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+  if (IsViewOutOfBounds(O, getBufferByteLength)) {
+    throw new TypeError('DataView is out of bounds');
+  }
+  return O.ByteOffset;
+}
+
+// ValidateIntegerTypedArray, unchanged by the proposal apart from ValidateTypedArray
+function ValidateIntegerTypedArray(typedArray, waitable = false) {
+  let buffer = ValidateTypedArray(typedArray);
+  let type = TypedArrayElementType(typedArray);
+  if (waitable) {
+    if (type !== 'Int32' && type !== 'BigInt64') {
+      throw new TypeError('not a waitable TypedArray');
+    }
+  } else if (type === 'Uint8C' || type === 'Float32' || type === 'Float64') {
+    throw new TypeError('not an integer TypedArray');
+  }
+  return buffer;
+}
+
+// sec-atomics.compareexchange
+// With a single agent the bytes read are the bytes in the block, shared or not.
+function AtomicsCompareExchange(typedArray, index, expectedValue, replacementValue) {
+  let buffer = ValidateIntegerTypedArray(typedArray);
+  let block = buffer.ArrayBufferData;
+  let indexedPosition = ValidateAtomicAccess(typedArray, index);
+  let expected;
+  let replacement;
+  if (typedArray.ContentType === 'BigInt') {
+    expected = BigInt(expectedValue);
+    replacement = BigInt(replacementValue);
+  } else {
+    expected = ToIntegerOrInfinity(expectedValue);
+    replacement = ToIntegerOrInfinity(replacementValue);
+  }
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(UNORDERED);
+  let length = IntegerIndexedObjectLength(typedArray, getBufferByteLength);
+  if (length === OUT_OF_BOUNDS) {
+    throw new TypeError('TypedArray is out of bounds');
+  }
+  // As in Atomics.store, a byte index is compared against an element count.
+  if (indexedPosition >= length) {
+    throw new RangeError('index is out of range');
+  }
+  let elementType = TypedArrayElementType(typedArray);
+  let elementSize = TypedArrayElementSize(typedArray);
+  let isLittleEndian = true;
+  let expectedBytes = NumericToRawBytes(elementType, expected, isLittleEndian);
+  let replacementBytes = NumericToRawBytes(elementType, replacement, isLittleEndian);
+  let rawBytesRead = [...block.subarray(indexedPosition, indexedPosition + elementSize)];
+  if (ByteListEqual(rawBytesRead, expectedBytes)) {
+    block.set(replacementBytes, indexedPosition);
+  }
+  return RawBytesToNumeric(elementType, rawBytesRead, isLittleEndian);
+}
+
+// sec-atomics.store
+function AtomicsStore(typedArray, index, value) {
+  let buffer = ValidateIntegerTypedArray(typedArray);
+  let indexedPosition = ValidateAtomicAccess(typedArray, index);
+  let v = typedArray.ContentType === 'BigInt' ? BigInt(value) : ToIntegerOrInfinity(value);
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(UNORDERED);
+  let length = IntegerIndexedObjectLength(typedArray, getBufferByteLength);
+  if (length === OUT_OF_BOUNDS) {
+    throw new TypeError('TypedArray is out of bounds');
+  }
+  // As written, this compares a byte index against an element count, so stores to the upper part
+  // of a multi-byte TypedArray throw.
+  if (indexedPosition >= length) {
+    throw new RangeError('index is out of range');
+  }
+  let elementType = TypedArrayElementType(typedArray);
+  SetValueInBuffer(buffer, indexedPosition, elementType, v, true, SEQ_CST);
+  return v;
+}
+
+// sec-atomicreadmodifywrite
+// `op` is a read-modify-write modification function from two lists of bytes to a list of bytes.
+function AtomicReadModifyWrite(typedArray, index, value, op) {
+  let buffer = ValidateIntegerTypedArray(typedArray);
+  let indexedPosition = ValidateAtomicAccess(typedArray, index);
+  let v = typedArray.ContentType === 'BigInt' ? BigInt(value) : ToIntegerOrInfinity(value);
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(UNORDERED);
+  let length = IntegerIndexedObjectLength(typedArray, getBufferByteLength);
+  if (length === OUT_OF_BOUNDS) {
+    throw new TypeError('TypedArray is out of bounds');
+  }
+  // As in Atomics.store, a byte index is compared against an element count.
+  if (indexedPosition >= length) {
+    throw new RangeError('index is out of range');
+  }
+  let elementType = TypedArrayElementType(typedArray);
+  return GetModifySetValueInBuffer(buffer, indexedPosition, elementType, v, op);
+}
+
+// sec-validateatomicaccess
+function ValidateAtomicAccess(typedArray, requestIndex) {
+  let getBufferByteLength = MakeIdempotentArrayBufferByteLengthGetter(UNORDERED);
+  let length = IntegerIndexedObjectLength(typedArray, getBufferByteLength);
+  assert(length !== OUT_OF_BOUNDS);
+  let accessIndex = ToIndex(requestIndex);
+  assert(accessIndex >= 0);
+  if (accessIndex >= length) {
+    throw new RangeError('index is out of range');
+  }
+  let elementSize = TypedArrayElementSize(typedArray);
+  let offset = typedArray.ByteOffset;
+  return accessIndex * elementSize + offset;
+}
+
+// Every function above, keyed by the id of the clause it implements.
+const clauses = {
+  'sec-detacharraybuffer': DetachArrayBuffer,
+  'sec-allocatearraybuffer': AllocateArrayBuffer,
+  'sec-arraybufferlength': ArrayBufferByteLength,
+  'sec-makeidempotentarraybufferbytelengthgetter': MakeIdempotentArrayBufferByteLengthGetter,
+  'sec-isresizablearraybuffer': IsResizableArrayBuffer,
+  'sec-getarraybuffermaxbytelengthoption': GetArrayBufferMaxByteLengthOption,
+  'sec-hostresizearraybuffer': host.HostResizeArrayBuffer,
+  'sec-arraybuffer-length': ArrayBufferConstructor,
+  'sec-get-arraybuffer.prototype.maxbytelength': getArrayBufferPrototypeMaxByteLength,
+  'sec-get-arraybuffer.prototype.resizable': getArrayBufferPrototypeResizable,
+  'sec-arraybuffer.prototype.slice': ArrayBufferPrototypeSlice,
+  'sec-arraybuffer.prototype.resize': ArrayBufferPrototypeResize,
+  'sec-allocatesharedarraybuffer': AllocateSharedArrayBuffer,
+  'sec-hostgrowsharedarraybuffer': host.HostGrowSharedArrayBuffer,
+  'sec-sharedarraybuffer-length': SharedArrayBufferConstructor,
+  'sec-get-sharedarraybuffer.prototype.bytelength': getSharedArrayBufferPrototypeByteLength,
+  'sec-get-sharedarraybuffer.prototype.growable': getSharedArrayBufferPrototypeGrowable,
+  'sec-get-sharedarraybuffer.prototype.maxbytelength': getSharedArrayBufferPrototypeMaxByteLength,
+  'sec-sharedarraybuffer.prototype.grow': SharedArrayBufferPrototypeGrow,
+  'sec-sharedarraybuffer.prototype.slice': SharedArrayBufferPrototypeSlice,
+  'sec-integer-indexed-exotic-objects-ownpropertykeys': IntegerIndexedObjectOwnPropertyKeys,
+  'sec-isvalidintegerindex': IsValidIntegerIndex,
+  'sec-integerindexedobjectbytelength': IntegerIndexedObjectByteLength,
+  'sec-integerindexedobjectlength': IntegerIndexedObjectLength,
+  'sec-isintegerindexedobjectoutofbounds': IsIntegerIndexedObjectOutOfBounds,
+  'sec-isarraybufferviewoutofbounds': IsArrayBufferViewOutOfBounds,
+  'sec-validatetypedarray': ValidateTypedArray,
+  'sec-get-%typedarray%.prototype.bytelength': getTypedArrayPrototypeByteLength,
+  'sec-get-%typedarray%.prototype.byteoffset': getTypedArrayPrototypeByteOffset,
+  'sec-get-%typedarray%.prototype.length': getTypedArrayPrototypeLength,
+  'sec-%typedarray%.prototype.copywithin': TypedArrayPrototypeCopyWithin,
+  'sec-%typedarray%.prototype.fill': TypedArrayPrototypeFill,
+  'sec-%typedarray%.prototype.slice': TypedArrayPrototypeSlice,
+  'sec-%typedarray%.prototype.subarray': TypedArrayPrototypeSubarray,
+  'sec-settypedarrayfromtypedarray': SetTypedArrayFromTypedArray,
+  'sec-initializetypedarrayfromtypedarray': InitializeTypedArrayFromTypedArray,
+  'sec-initializetypedarrayfromarraybuffer': InitializeTypedArrayFromArrayBuffer,
+  'sec-getviewbytelength': GetViewByteLength,
+  'sec-isviewoutofbounds': IsViewOutOfBounds,
+  'sec-getviewvalue': GetViewValue,
+  'sec-setviewvalue': SetViewValue,
+  'sec-dataview-buffer-byteoffset-bytelength': DataViewConstructor,
+  'sec-get-dataview.prototype.bytelength': getDataViewPrototypeByteLength,
+  'sec-get-dataview.prototype.byteoffset': getDataViewPrototypeByteOffset,
+  'sec-atomics.compareexchange': AtomicsCompareExchange,
+  'sec-atomics.store': AtomicsStore,
+  'sec-atomicreadmodifywrite': AtomicReadModifyWrite,
+  'sec-validateatomicaccess': ValidateAtomicAccess,
+};
+
+module.exports = {
+  AUTO,
+  OUT_OF_BOUNDS,
+  EMPTY,
+  SEQ_CST,
+  UNORDERED,
+  host,
+  clauses,
+  DetachArrayBuffer,
+  AllocateArrayBuffer,
+  ArrayBufferByteLength,
+  MakeIdempotentArrayBufferByteLengthGetter,
+  IsResizableArrayBuffer,
+  GetArrayBufferMaxByteLengthOption,
+  ArrayBufferConstructor,
+  getArrayBufferPrototypeMaxByteLength,
+  getArrayBufferPrototypeResizable,
+  ArrayBufferPrototypeSlice,
+  ArrayBufferPrototypeResize,
+  AllocateSharedArrayBuffer,
+  SharedArrayBufferConstructor,
+  getSharedArrayBufferPrototypeByteLength,
+  getSharedArrayBufferPrototypeGrowable,
+  getSharedArrayBufferPrototypeMaxByteLength,
+  SharedArrayBufferPrototypeGrow,
+  SharedArrayBufferPrototypeSlice,
+  IntegerIndexedObjectOwnPropertyKeys,
+  IsValidIntegerIndex,
+  IntegerIndexedObjectByteLength,
+  IntegerIndexedObjectLength,
+  IsIntegerIndexedObjectOutOfBounds,
+  IsArrayBufferViewOutOfBounds,
+  ValidateTypedArray,
+  getTypedArrayPrototypeByteLength,
+  getTypedArrayPrototypeByteOffset,
+  getTypedArrayPrototypeLength,
+  TypedArrayPrototypeCopyWithin,
+  TypedArrayPrototypeFill,
+  TypedArrayPrototypeSlice,
+  TypedArrayPrototypeSubarray,
+  SetTypedArrayFromTypedArray,
+  InitializeTypedArrayFromTypedArray,
+  InitializeTypedArrayFromArrayBuffer,
+  AllocateTypedArray,
+  TypedArrayConstructor,
+  TypedArrayGetIndex,
+  TypedArraySetIndex,
+  GetViewByteLength,
+  IsViewOutOfBounds,
+  GetViewValue,
+  SetViewValue,
+  DataViewConstructor,
+  getDataViewPrototypeByteLength,
+  getDataViewPrototypeByteOffset,
+  ValidateIntegerTypedArray,
+  AtomicsCompareExchange,
+  AtomicsStore,
+  AtomicReadModifyWrite,
+  ValidateAtomicAccess,
+};
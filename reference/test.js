@@ -0,0 +1,848 @@
+'use strict';
+// Tests for the reference implementation, one group per clause in `clauses`. Every clause id must
+// have a group here, so a newly implemented clause fails the suite until it is tested.
+//
+// Run with `npm test`.
+
+const assert = require('node:assert');
+const { describe, test } = require('node:test');
+const spec = require('.');
+
+const { AUTO, OUT_OF_BOUNDS, EMPTY, SEQ_CST, UNORDERED } = spec;
+
+function resizable(byteLength, maxByteLength) {
+  return spec.ArrayBufferConstructor(byteLength, { maxByteLength });
+}
+
+function growable(byteLength, maxByteLength) {
+  return spec.SharedArrayBufferConstructor(byteLength, { maxByteLength });
+}
+
+function bytes(buffer) {
+  let length = spec.ArrayBufferByteLength(buffer, SEQ_CST);
+  return [...buffer.ArrayBufferData.subarray(0, length)];
+}
+
+function withHost(hooks, fn) {
+  let saved = Object.assign({}, spec.host);
+  Object.assign(spec.host, hooks);
+  try {
+    fn();
+  } finally {
+    Object.assign(spec.host, saved);
+  }
+}
+
+const tests = {
+  'sec-detacharraybuffer': {
+    'detaches with the matching key'() {
+      let buffer = spec.ArrayBufferConstructor(8);
+      spec.DetachArrayBuffer(buffer);
+      assert.strictEqual(buffer.ArrayBufferData, null);
+      assert.strictEqual(buffer.ArrayBufferByteLength, 0);
+    },
+    'throws TypeError for a mismatched key'() {
+      let buffer = spec.ArrayBufferConstructor(8);
+      assert.throws(() => spec.DetachArrayBuffer(buffer, 'key'), TypeError);
+    },
+    'asserts the buffer is not shared'() {
+      assert.throws(() => spec.DetachArrayBuffer(growable(8, 16)), assert.AssertionError);
+    },
+  },
+
+  'sec-allocatearraybuffer': {
+    'allocates a fixed-length buffer without a max length'() {
+      let buffer = spec.AllocateArrayBuffer(null, 4);
+      assert.strictEqual(buffer.ArrayBufferByteLength, 4);
+      assert.ok(!('ArrayBufferMaxByteLength' in buffer));
+    },
+    'allocates a resizable buffer with a max length'() {
+      let buffer = spec.AllocateArrayBuffer(null, 4, 16);
+      assert.strictEqual(buffer.ArrayBufferMaxByteLength, 16);
+    },
+    'throws RangeError when byteLength exceeds maxByteLength'() {
+      assert.throws(() => spec.AllocateArrayBuffer(null, 17, 16), RangeError);
+    },
+  },
+
+  'sec-arraybufferlength': {
+    'reads [[ArrayBufferByteLength]] of an ArrayBuffer'() {
+      assert.strictEqual(spec.ArrayBufferByteLength(resizable(3, 8), SEQ_CST), 3);
+    },
+    'reads the byte length block of a growable SharedArrayBuffer'() {
+      let buffer = growable(3, 8);
+      spec.SharedArrayBufferPrototypeGrow(buffer, 6);
+      assert.strictEqual(spec.ArrayBufferByteLength(buffer, UNORDERED), 6);
+    },
+  },
+
+  'sec-makeidempotentarraybufferbytelengthgetter': {
+    'returns the first observed length on later calls'() {
+      let buffer = resizable(4, 16);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(getBufferByteLength(buffer), 4);
+      spec.ArrayBufferPrototypeResize(buffer, 12);
+      assert.strictEqual(getBufferByteLength(buffer), 4);
+    },
+    'asserts it is only used with one buffer'() {
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      getBufferByteLength(resizable(4, 16));
+      assert.throws(() => getBufferByteLength(resizable(4, 16)), assert.AssertionError);
+    },
+  },
+
+  'sec-isresizablearraybuffer': {
+    'is true only with a max byte length'() {
+      assert.strictEqual(spec.IsResizableArrayBuffer(resizable(0, 1)), true);
+      assert.strictEqual(spec.IsResizableArrayBuffer(spec.ArrayBufferConstructor(1)), false);
+      assert.strictEqual(spec.IsResizableArrayBuffer(growable(0, 1)), true);
+    },
+  },
+
+  'sec-getarraybuffermaxbytelengthoption': {
+    'is empty for non-objects and a missing property'() {
+      assert.strictEqual(spec.GetArrayBufferMaxByteLengthOption(undefined), EMPTY);
+      assert.strictEqual(spec.GetArrayBufferMaxByteLengthOption(16), EMPTY);
+      assert.strictEqual(spec.GetArrayBufferMaxByteLengthOption({}), EMPTY);
+    },
+    'converts the property with ToIndex'() {
+      assert.strictEqual(spec.GetArrayBufferMaxByteLengthOption({ maxByteLength: '7.9' }), 7);
+      assert.throws(
+        () => spec.GetArrayBufferMaxByteLengthOption({ maxByteLength: -1 }),
+        RangeError
+      );
+    },
+  },
+
+  'sec-hostresizearraybuffer': {
+    'is unhandled by default'() {
+      assert.strictEqual(spec.host.HostResizeArrayBuffer(resizable(0, 1), 1), 'unhandled');
+    },
+    'a handled resize leaves the buffer to the host'() {
+      let buffer = resizable(2, 8);
+      withHost({ HostResizeArrayBuffer: () => 'handled' }, () => {
+        spec.ArrayBufferPrototypeResize(buffer, 6);
+      });
+      assert.strictEqual(buffer.ArrayBufferByteLength, 2);
+    },
+  },
+
+  'sec-arraybuffer-length': {
+    'creates a fixed-length buffer without options'() {
+      let buffer = spec.ArrayBufferConstructor(5);
+      assert.strictEqual(buffer.ArrayBufferByteLength, 5);
+      assert.strictEqual(spec.IsResizableArrayBuffer(buffer), false);
+    },
+    'creates a resizable buffer with maxByteLength'() {
+      let buffer = resizable(5, 10);
+      assert.strictEqual(buffer.ArrayBufferMaxByteLength, 10);
+    },
+    'throws RangeError when length exceeds maxByteLength'() {
+      assert.throws(() => resizable(11, 10), RangeError);
+    },
+  },
+
+  'sec-get-arraybuffer.prototype.maxbytelength': {
+    'is the max length of a resizable buffer and the length otherwise'() {
+      assert.strictEqual(spec.getArrayBufferPrototypeMaxByteLength(resizable(1, 9)), 9);
+      let fixed = spec.ArrayBufferConstructor(3);
+      assert.strictEqual(spec.getArrayBufferPrototypeMaxByteLength(fixed), 3);
+    },
+    'is 0 for a detached buffer'() {
+      let buffer = resizable(1, 9);
+      spec.DetachArrayBuffer(buffer);
+      assert.strictEqual(spec.getArrayBufferPrototypeMaxByteLength(buffer), 0);
+    },
+    'throws TypeError for a SharedArrayBuffer'() {
+      assert.throws(() => spec.getArrayBufferPrototypeMaxByteLength(growable(1, 9)), TypeError);
+    },
+  },
+
+  'sec-get-arraybuffer.prototype.resizable': {
+    'reports whether the buffer is resizable'() {
+      assert.strictEqual(spec.getArrayBufferPrototypeResizable(resizable(1, 9)), true);
+      assert.strictEqual(
+        spec.getArrayBufferPrototypeResizable(spec.ArrayBufferConstructor(1)),
+        false
+      );
+    },
+    'throws TypeError for a SharedArrayBuffer'() {
+      assert.throws(() => spec.getArrayBufferPrototypeResizable(growable(1, 9)), TypeError);
+    },
+  },
+
+  'sec-arraybuffer.prototype.slice': {
+    'copies the requested range into a new buffer'() {
+      let buffer = spec.ArrayBufferConstructor(4);
+      buffer.ArrayBufferData.set([1, 2, 3, 4]);
+      let result = spec.ArrayBufferPrototypeSlice(buffer, 1, -1);
+      assert.deepStrictEqual(bytes(result), [2, 3]);
+    },
+    'throws TypeError for a detached buffer'() {
+      let buffer = spec.ArrayBufferConstructor(4);
+      spec.DetachArrayBuffer(buffer);
+      assert.throws(() => spec.ArrayBufferPrototypeSlice(buffer, 0), TypeError);
+    },
+  },
+
+  'sec-arraybuffer.prototype.resize': {
+    'shrinks and grows, keeping the contents that fit'() {
+      let buffer = resizable(4, 8);
+      buffer.ArrayBufferData.set([1, 2, 3, 4]);
+      spec.ArrayBufferPrototypeResize(buffer, 2);
+      assert.deepStrictEqual(bytes(buffer), [1, 2]);
+      spec.ArrayBufferPrototypeResize(buffer, 4);
+      assert.deepStrictEqual(bytes(buffer), [1, 2, 0, 0]);
+    },
+    'throws RangeError past the max length'() {
+      assert.throws(() => spec.ArrayBufferPrototypeResize(resizable(4, 8), 9), RangeError);
+    },
+    'throws TypeError for a fixed-length or detached buffer'() {
+      assert.throws(
+        () => spec.ArrayBufferPrototypeResize(spec.ArrayBufferConstructor(4), 2),
+        TypeError
+      );
+      let buffer = resizable(4, 8);
+      spec.DetachArrayBuffer(buffer);
+      assert.throws(() => spec.ArrayBufferPrototypeResize(buffer, 2), TypeError);
+    },
+    'throws TypeError for a BigInt or Symbol length'() {
+      assert.throws(() => spec.ArrayBufferPrototypeResize(resizable(4, 8), 2n), TypeError);
+      assert.throws(() => spec.ArrayBufferPrototypeResize(resizable(4, 8), Symbol()), TypeError);
+    },
+  },
+
+  'sec-allocatesharedarraybuffer': {
+    'allocates the max length up front for a growable buffer'() {
+      let buffer = spec.AllocateSharedArrayBuffer(null, 2, 8);
+      assert.strictEqual(buffer.ArrayBufferData.length, 8);
+      assert.strictEqual(spec.ArrayBufferByteLength(buffer, SEQ_CST), 2);
+    },
+    'throws RangeError when byteLength exceeds maxByteLength'() {
+      assert.throws(() => spec.AllocateSharedArrayBuffer(null, 9, 8), RangeError);
+    },
+  },
+
+  'sec-hostgrowsharedarraybuffer': {
+    'is unhandled by default'() {
+      assert.strictEqual(spec.host.HostGrowSharedArrayBuffer(growable(0, 1), 1), 'unhandled');
+    },
+    'a handled grow leaves the buffer to the host'() {
+      let buffer = growable(2, 8);
+      withHost({ HostGrowSharedArrayBuffer: () => 'handled' }, () => {
+        spec.SharedArrayBufferPrototypeGrow(buffer, 6);
+      });
+      assert.strictEqual(spec.ArrayBufferByteLength(buffer, SEQ_CST), 2);
+    },
+  },
+
+  'sec-sharedarraybuffer-length': {
+    'creates fixed-length and growable buffers'() {
+      let fixed = spec.SharedArrayBufferConstructor(3);
+      assert.strictEqual(fixed.ArrayBufferByteLength, 3);
+      assert.strictEqual(spec.IsResizableArrayBuffer(fixed), false);
+      assert.strictEqual(spec.ArrayBufferByteLength(growable(3, 6), SEQ_CST), 3);
+    },
+  },
+
+  'sec-get-sharedarraybuffer.prototype.bytelength': {
+    'reads the current length'() {
+      let buffer = growable(3, 6);
+      spec.SharedArrayBufferPrototypeGrow(buffer, 5);
+      assert.strictEqual(spec.getSharedArrayBufferPrototypeByteLength(buffer), 5);
+    },
+    'throws TypeError for an ArrayBuffer'() {
+      assert.throws(() => spec.getSharedArrayBufferPrototypeByteLength(resizable(1, 2)), TypeError);
+    },
+  },
+
+  'sec-get-sharedarraybuffer.prototype.growable': {
+    'reports whether the buffer is growable'() {
+      assert.strictEqual(spec.getSharedArrayBufferPrototypeGrowable(growable(1, 2)), true);
+      let fixed = spec.SharedArrayBufferConstructor(1);
+      assert.strictEqual(spec.getSharedArrayBufferPrototypeGrowable(fixed), false);
+    },
+  },
+
+  'sec-get-sharedarraybuffer.prototype.maxbytelength': {
+    'is the max length of a growable buffer and the length otherwise'() {
+      assert.strictEqual(spec.getSharedArrayBufferPrototypeMaxByteLength(growable(1, 7)), 7);
+      let fixed = spec.SharedArrayBufferConstructor(4);
+      assert.strictEqual(spec.getSharedArrayBufferPrototypeMaxByteLength(fixed), 4);
+    },
+  },
+
+  'sec-sharedarraybuffer.prototype.grow': {
+    'grows up to the max length'() {
+      let buffer = growable(2, 8);
+      spec.SharedArrayBufferPrototypeGrow(buffer, 8);
+      assert.strictEqual(spec.ArrayBufferByteLength(buffer, SEQ_CST), 8);
+    },
+    'throws RangeError when shrinking or past the max length'() {
+      let buffer = growable(4, 8);
+      assert.throws(() => spec.SharedArrayBufferPrototypeGrow(buffer, 2), RangeError);
+      assert.throws(() => spec.SharedArrayBufferPrototypeGrow(buffer, 9), RangeError);
+      assert.strictEqual(spec.ArrayBufferByteLength(buffer, SEQ_CST), 4);
+    },
+    'throws TypeError for a fixed-length buffer'() {
+      let fixed = spec.SharedArrayBufferConstructor(4);
+      assert.throws(() => spec.SharedArrayBufferPrototypeGrow(fixed, 4), TypeError);
+    },
+  },
+
+  'sec-sharedarraybuffer.prototype.slice': {
+    'copies within the current length'() {
+      let buffer = growable(2, 8);
+      spec.SharedArrayBufferPrototypeGrow(buffer, 4);
+      buffer.ArrayBufferData.set([1, 2, 3, 4, 5]);
+      let result = spec.SharedArrayBufferPrototypeSlice(buffer, 2);
+      assert.deepStrictEqual([...result.ArrayBufferData], [3, 4]);
+    },
+  },
+
+  'sec-integer-indexed-exotic-objects-ownpropertykeys': {
+    'lists the indices of a length-tracking TypedArray'() {
+      let buffer = resizable(4, 8);
+      let ta = spec.TypedArrayConstructor('Uint16Array', buffer, 0);
+      assert.deepStrictEqual(spec.IntegerIndexedObjectOwnPropertyKeys(ta), ['0', '1']);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      assert.deepStrictEqual(spec.IntegerIndexedObjectOwnPropertyKeys(ta), ['0', '1', '2']);
+    },
+    'is empty when out of bounds'() {
+      let buffer = resizable(4, 8);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 2, 2);
+      spec.ArrayBufferPrototypeResize(buffer, 3);
+      assert.deepStrictEqual(spec.IntegerIndexedObjectOwnPropertyKeys(ta), []);
+    },
+  },
+
+  'sec-isvalidintegerindex': {
+    'accepts integers within the current length'() {
+      let buffer = resizable(4, 8);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      assert.strictEqual(spec.IsValidIntegerIndex(ta, 3), true);
+      assert.strictEqual(spec.IsValidIntegerIndex(ta, 4), false);
+      assert.strictEqual(spec.IsValidIntegerIndex(ta, -0), false);
+      assert.strictEqual(spec.IsValidIntegerIndex(ta, 1.5), false);
+      spec.ArrayBufferPrototypeResize(buffer, 2);
+      assert.strictEqual(spec.IsValidIntegerIndex(ta, 3), false);
+    },
+  },
+
+  'sec-integerindexedobjectbytelength': {
+    'tracks the buffer for a length-tracking TypedArray'() {
+      let buffer = resizable(7, 16);
+      let ta = spec.TypedArrayConstructor('Uint16Array', buffer, 2);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(spec.IntegerIndexedObjectByteLength(ta, getBufferByteLength), 4);
+    },
+    'is 0 when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 4, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(spec.IntegerIndexedObjectByteLength(ta, getBufferByteLength), 0);
+    },
+  },
+
+  'sec-integerindexedobjectlength': {
+    'rounds down to whole elements'() {
+      let ta = spec.TypedArrayConstructor('Uint32Array', resizable(11, 16), 0);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(spec.IntegerIndexedObjectLength(ta, getBufferByteLength), 2);
+    },
+    'is out-of-bounds past the end of the buffer'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 2);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(spec.IntegerIndexedObjectLength(ta, getBufferByteLength), OUT_OF_BOUNDS);
+    },
+  },
+
+  'sec-isintegerindexedobjectoutofbounds': {
+    'is true once the buffer no longer covers the view'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 2, 4);
+      let check = () =>
+        spec.IsIntegerIndexedObjectOutOfBounds(
+          ta,
+          spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST)
+        );
+      assert.strictEqual(check(), false);
+      spec.ArrayBufferPrototypeResize(buffer, 5);
+      assert.strictEqual(check(), true);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      assert.strictEqual(check(), false);
+    },
+    'is true for a detached buffer'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      spec.DetachArrayBuffer(buffer);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(spec.IsIntegerIndexedObjectOutOfBounds(ta, getBufferByteLength), true);
+    },
+  },
+
+  'sec-isarraybufferviewoutofbounds': {
+    'checks TypedArrays and DataViews'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 4, 4);
+      let view = spec.DataViewConstructor(buffer, 6);
+      assert.strictEqual(spec.IsArrayBufferViewOutOfBounds(ta), false);
+      assert.strictEqual(spec.IsArrayBufferViewOutOfBounds(view), false);
+      spec.ArrayBufferPrototypeResize(buffer, 5);
+      assert.strictEqual(spec.IsArrayBufferViewOutOfBounds(ta), true);
+      assert.strictEqual(spec.IsArrayBufferViewOutOfBounds(view), true);
+    },
+    'is false for views on SharedArrayBuffers'() {
+      let ta = spec.TypedArrayConstructor('Uint8Array', growable(4, 8), 0);
+      assert.strictEqual(spec.IsArrayBufferViewOutOfBounds(ta), false);
+    },
+  },
+
+  'sec-validatetypedarray': {
+    'returns the buffer when in bounds'() {
+      let buffer = resizable(4, 8);
+      assert.strictEqual(
+        spec.ValidateTypedArray(spec.TypedArrayConstructor('Uint8Array', buffer, 0)),
+        buffer
+      );
+    },
+    'throws TypeError when out of bounds or not a TypedArray'() {
+      let buffer = resizable(4, 8);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 2, 2);
+      spec.ArrayBufferPrototypeResize(buffer, 3);
+      assert.throws(() => spec.ValidateTypedArray(ta), TypeError);
+      assert.throws(() => spec.ValidateTypedArray(buffer), TypeError);
+    },
+  },
+
+  'sec-get-%typedarray%.prototype.bytelength': {
+    'tracks the buffer and is 0 when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint16Array', buffer, 2);
+      assert.strictEqual(spec.getTypedArrayPrototypeByteLength(ta), 6);
+      spec.ArrayBufferPrototypeResize(buffer, 1);
+      assert.strictEqual(spec.getTypedArrayPrototypeByteLength(ta), 0);
+    },
+  },
+
+  'sec-get-%typedarray%.prototype.byteoffset': {
+    'is 0 when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 4);
+      assert.strictEqual(spec.getTypedArrayPrototypeByteOffset(ta), 4);
+      spec.ArrayBufferPrototypeResize(buffer, 3);
+      assert.strictEqual(spec.getTypedArrayPrototypeByteOffset(ta), 0);
+    },
+  },
+
+  'sec-get-%typedarray%.prototype.length': {
+    'tracks the buffer and is 0 when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint32Array', buffer, 0);
+      assert.strictEqual(spec.getTypedArrayPrototypeLength(ta), 2);
+      spec.ArrayBufferPrototypeResize(buffer, 12);
+      assert.strictEqual(spec.getTypedArrayPrototypeLength(ta), 3);
+      spec.DetachArrayBuffer(buffer);
+      assert.strictEqual(spec.getTypedArrayPrototypeLength(ta), 0);
+    },
+  },
+
+  'sec-%typedarray%.prototype.copywithin': {
+    'copies overlapping ranges from the end'() {
+      let buffer = spec.ArrayBufferConstructor(5);
+      buffer.ArrayBufferData.set([1, 2, 3, 4, 5]);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      assert.strictEqual(spec.TypedArrayPrototypeCopyWithin(ta, 1, 0, 4), ta);
+      assert.deepStrictEqual(bytes(buffer), [1, 1, 2, 3, 4]);
+    },
+    'copies no further than a buffer shrunk by the arguments'() {
+      let buffer = resizable(8, 16);
+      buffer.ArrayBufferData.set([1, 2, 3, 4, 5, 6, 7, 8]);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      let end = {
+        valueOf() {
+          spec.ArrayBufferPrototypeResize(buffer, 6);
+          return 8;
+        },
+      };
+      spec.TypedArrayPrototypeCopyWithin(ta, 0, 4, end);
+      assert.deepStrictEqual(bytes(buffer), [5, 6, 3, 4, 5, 6]);
+    },
+    'throws TypeError when the arguments take it out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 4, 4);
+      let start = {
+        valueOf() {
+          spec.ArrayBufferPrototypeResize(buffer, 2);
+          return 0;
+        },
+      };
+      assert.throws(() => spec.TypedArrayPrototypeCopyWithin(ta, 1, start), TypeError);
+    },
+  },
+
+  'sec-%typedarray%.prototype.fill': {
+    'fills a range'() {
+      let buffer = spec.ArrayBufferConstructor(4);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      assert.strictEqual(spec.TypedArrayPrototypeFill(ta, 7, 1, 3), ta);
+      assert.deepStrictEqual(bytes(buffer), [0, 7, 7, 0]);
+    },
+    'converts with ToBigInt or ToNumber'() {
+      let ta = spec.TypedArrayConstructor('BigInt64Array', spec.ArrayBufferConstructor(8), 0);
+      spec.TypedArrayPrototypeFill(ta, true);
+      assert.strictEqual(spec.TypedArrayGetIndex(ta, 0), 1n);
+      let numbers = spec.TypedArrayConstructor('Uint8Array', spec.ArrayBufferConstructor(1), 0);
+      assert.throws(() => spec.TypedArrayPrototypeFill(numbers, 1n), TypeError);
+    },
+    'stops at a buffer shrunk by the arguments'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      let end = {
+        valueOf() {
+          spec.ArrayBufferPrototypeResize(buffer, 4);
+          return 8;
+        },
+      };
+      spec.TypedArrayPrototypeFill(ta, 1, 0, end);
+      assert.deepStrictEqual(bytes(buffer), [1, 1, 1, 1]);
+    },
+  },
+
+  'sec-%typedarray%.prototype.slice': {
+    'copies the bytes of a range into a new TypedArray of the same type'() {
+      let buffer = spec.ArrayBufferConstructor(8);
+      buffer.ArrayBufferData.set([1, 2, 3, 4, 5, 6, 7, 8]);
+      let ta = spec.TypedArrayConstructor('Uint16Array', buffer, 0);
+      let result = spec.TypedArrayPrototypeSlice(ta, 1, 3);
+      assert.strictEqual(result.TypedArrayName, 'Uint16Array');
+      assert.strictEqual(result.ArrayLength, 2);
+      assert.deepStrictEqual(bytes(result.ViewedArrayBuffer), [3, 4, 5, 6]);
+    },
+    'copies from a length-tracking TypedArray after its buffer shrinks'() {
+      let buffer = resizable(8, 16);
+      buffer.ArrayBufferData.set([1, 2, 3, 4, 5, 6, 7, 8]);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      let end = {
+        valueOf() {
+          spec.ArrayBufferPrototypeResize(buffer, 6);
+          return 6;
+        },
+      };
+      let result = spec.TypedArrayPrototypeSlice(ta, 2, end);
+      assert.deepStrictEqual(bytes(result.ViewedArrayBuffer), [3, 4, 5, 6]);
+    },
+    'throws TypeError when the arguments take it out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 4, 4);
+      let start = {
+        valueOf() {
+          spec.ArrayBufferPrototypeResize(buffer, 2);
+          return 0;
+        },
+      };
+      assert.throws(() => spec.TypedArrayPrototypeSlice(ta, start), TypeError);
+    },
+  },
+
+  'sec-%typedarray%.prototype.subarray': {
+    'tracks the buffer when the TypedArray does and no end is given'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint16Array', buffer, 0);
+      let result = spec.TypedArrayPrototypeSubarray(ta, 1);
+      assert.strictEqual(result.ArrayLength, AUTO);
+      assert.strictEqual(result.ByteOffset, 2);
+      spec.ArrayBufferPrototypeResize(buffer, 12);
+      assert.strictEqual(spec.getTypedArrayPrototypeLength(result), 5);
+    },
+    'has a fixed length when an end is given'() {
+      let ta = spec.TypedArrayConstructor('Uint8Array', resizable(8, 16), 0);
+      assert.strictEqual(spec.TypedArrayPrototypeSubarray(ta, 2, 4).ArrayLength, 2);
+    },
+    'uses a length of 0 when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 2, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 4);
+      let result = spec.TypedArrayPrototypeSubarray(ta, 1, 3);
+      assert.strictEqual(result.ByteOffset, 2);
+      assert.strictEqual(result.ArrayLength, 0);
+    },
+  },
+
+  'sec-settypedarrayfromtypedarray': {
+    'converts between element types'() {
+      let source = spec.TypedArrayConstructor('Uint8Array', spec.ArrayBufferConstructor(3), 0);
+      source.ViewedArrayBuffer.ArrayBufferData.set([1, 2, 3]);
+      let target = spec.TypedArrayConstructor('Uint16Array', spec.ArrayBufferConstructor(8), 0);
+      spec.SetTypedArrayFromTypedArray(target, 1, source);
+      assert.deepStrictEqual(
+        [0, 1, 2, 3].map(i => spec.TypedArrayGetIndex(target, i)),
+        [0, 1, 2, 3]
+      );
+    },
+    'copies through a clone when both use the same buffer'() {
+      let buffer = resizable(6, 8);
+      buffer.ArrayBufferData.set([1, 2, 3, 4, 5, 6]);
+      let target = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      let source = spec.TypedArrayConstructor('Uint8Array', buffer, 0, 4);
+      spec.SetTypedArrayFromTypedArray(target, 2, source);
+      assert.deepStrictEqual(bytes(buffer), [1, 2, 1, 2, 3, 4]);
+    },
+    'throws TypeError when either is out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Uint8Array', buffer, 4, 4);
+      let other = spec.TypedArrayConstructor('Uint8Array', spec.ArrayBufferConstructor(4), 0);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      assert.throws(() => spec.SetTypedArrayFromTypedArray(ta, 0, other), TypeError);
+      assert.throws(() => spec.SetTypedArrayFromTypedArray(other, 0, ta), TypeError);
+    },
+    'throws RangeError when the source does not fit'() {
+      let buffer = resizable(8, 16);
+      let target = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      let source = spec.TypedArrayConstructor('Uint8Array', spec.ArrayBufferConstructor(6), 0);
+      spec.ArrayBufferPrototypeResize(buffer, 4);
+      assert.throws(() => spec.SetTypedArrayFromTypedArray(target, 0, source), RangeError);
+    },
+  },
+
+  'sec-initializetypedarrayfromtypedarray': {
+    'copies the current length of a length-tracking source'() {
+      let buffer = resizable(4, 8);
+      buffer.ArrayBufferData.set([1, 2, 3, 4]);
+      let source = spec.TypedArrayConstructor('Uint8Array', buffer, 0);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      let O = spec.AllocateTypedArray('Uint16Array');
+      spec.InitializeTypedArrayFromTypedArray(O, source);
+      assert.strictEqual(O.ArrayLength, 6);
+      assert.strictEqual(spec.IsResizableArrayBuffer(O.ViewedArrayBuffer), false);
+      assert.deepStrictEqual(
+        [0, 1, 2, 3, 4, 5].map(i => spec.TypedArrayGetIndex(O, i)),
+        [1, 2, 3, 4, 0, 0]
+      );
+    },
+    'clones the bytes when the element types match'() {
+      let buffer = spec.ArrayBufferConstructor(4);
+      buffer.ArrayBufferData.set([1, 2, 3, 4]);
+      let O = spec.AllocateTypedArray('Uint8Array');
+      spec.InitializeTypedArrayFromTypedArray(
+        O,
+        spec.TypedArrayConstructor('Uint8Array', buffer, 1)
+      );
+      assert.notStrictEqual(O.ViewedArrayBuffer, buffer);
+      assert.deepStrictEqual(bytes(O.ViewedArrayBuffer), [2, 3, 4]);
+    },
+    'throws TypeError when the source is out of bounds'() {
+      let buffer = resizable(8, 16);
+      let source = spec.TypedArrayConstructor('Uint8Array', buffer, 4, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      let O = spec.AllocateTypedArray('Uint8Array');
+      assert.throws(() => spec.InitializeTypedArrayFromTypedArray(O, source), TypeError);
+    },
+  },
+
+  'sec-initializetypedarrayfromarraybuffer': {
+    'tracks the length of a resizable buffer when no length is given'() {
+      let ta = spec.TypedArrayConstructor('Uint8Array', resizable(4, 8), 1);
+      assert.strictEqual(ta.ArrayLength, AUTO);
+      assert.strictEqual(ta.ByteLength, AUTO);
+    },
+    'fixes the length of a fixed-length buffer'() {
+      let ta = spec.TypedArrayConstructor('Uint16Array', spec.ArrayBufferConstructor(8), 2);
+      assert.strictEqual(ta.ArrayLength, 3);
+    },
+    'throws RangeError for misaligned or out of range offsets'() {
+      assert.throws(
+        () => spec.TypedArrayConstructor('Uint16Array', resizable(4, 8), 1),
+        RangeError
+      );
+      assert.throws(() => spec.TypedArrayConstructor('Uint8Array', resizable(4, 8), 5), RangeError);
+      assert.throws(
+        () => spec.TypedArrayConstructor('Uint8Array', resizable(4, 8), 2, 3),
+        RangeError
+      );
+    },
+  },
+
+  'sec-getviewbytelength': {
+    'tracks the buffer for a length-tracking view'() {
+      let buffer = resizable(8, 16);
+      let view = spec.DataViewConstructor(buffer, 3);
+      spec.ArrayBufferPrototypeResize(buffer, 10);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(spec.GetViewByteLength(view, getBufferByteLength), 7);
+    },
+    'is out-of-bounds past the end of the buffer'() {
+      let buffer = resizable(8, 16);
+      let view = spec.DataViewConstructor(buffer, 2, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 5);
+      let getBufferByteLength = spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST);
+      assert.strictEqual(spec.GetViewByteLength(view, getBufferByteLength), OUT_OF_BOUNDS);
+    },
+  },
+
+  'sec-isviewoutofbounds': {
+    'is true once the buffer no longer covers the view'() {
+      let buffer = resizable(8, 16);
+      let view = spec.DataViewConstructor(buffer, 4);
+      let check = () =>
+        spec.IsViewOutOfBounds(view, spec.MakeIdempotentArrayBufferByteLengthGetter(SEQ_CST));
+      assert.strictEqual(check(), false);
+      spec.ArrayBufferPrototypeResize(buffer, 4);
+      assert.strictEqual(check(), false);
+      spec.ArrayBufferPrototypeResize(buffer, 3);
+      assert.strictEqual(check(), true);
+    },
+  },
+
+  'sec-getviewvalue': {
+    'reads within the current view'() {
+      let buffer = resizable(4, 8);
+      buffer.ArrayBufferData.set([1, 2, 3, 4]);
+      let view = spec.DataViewConstructor(buffer, 1);
+      assert.strictEqual(spec.GetViewValue(view, 0, true, 'Uint16'), 0x0302);
+    },
+    'throws RangeError past the end and TypeError when out of bounds'() {
+      let buffer = resizable(4, 8);
+      let view = spec.DataViewConstructor(buffer, 2, 2);
+      assert.throws(() => spec.GetViewValue(view, 1, true, 'Uint16'), RangeError);
+      spec.ArrayBufferPrototypeResize(buffer, 3);
+      assert.throws(() => spec.GetViewValue(view, 0, true, 'Uint8'), TypeError);
+    },
+  },
+
+  'sec-setviewvalue': {
+    'writes within the current view'() {
+      let buffer = resizable(4, 8);
+      let view = spec.DataViewConstructor(buffer, 0);
+      spec.SetViewValue(view, 2, false, 'Uint16', 0x0102);
+      assert.deepStrictEqual(bytes(buffer), [0, 0, 1, 2]);
+    },
+    'throws TypeError when out of bounds'() {
+      let buffer = resizable(4, 8);
+      let view = spec.DataViewConstructor(buffer, 2, 2);
+      spec.ArrayBufferPrototypeResize(buffer, 1);
+      assert.throws(() => spec.SetViewValue(view, 0, true, 'Uint8', 1), TypeError);
+    },
+  },
+
+  'sec-dataview-buffer-byteoffset-bytelength': {
+    'tracks the length of a resizable buffer when no length is given'() {
+      let view = spec.DataViewConstructor(resizable(4, 8), 1);
+      assert.strictEqual(view.ByteLength, AUTO);
+      assert.strictEqual(spec.DataViewConstructor(spec.ArrayBufferConstructor(4), 1).ByteLength, 3);
+    },
+    'throws RangeError for an offset or length past the end'() {
+      assert.throws(() => spec.DataViewConstructor(resizable(4, 8), 5), RangeError);
+      assert.throws(() => spec.DataViewConstructor(resizable(4, 8), 2, 3), RangeError);
+    },
+    'throws TypeError for a detached buffer'() {
+      let buffer = resizable(4, 8);
+      spec.DetachArrayBuffer(buffer);
+      assert.throws(() => spec.DataViewConstructor(buffer, 0), TypeError);
+    },
+  },
+
+  'sec-get-dataview.prototype.bytelength': {
+    'tracks the buffer and throws TypeError when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let view = spec.DataViewConstructor(buffer, 2);
+      assert.strictEqual(spec.getDataViewPrototypeByteLength(view), 6);
+      spec.ArrayBufferPrototypeResize(buffer, 1);
+      assert.throws(() => spec.getDataViewPrototypeByteLength(view), TypeError);
+    },
+  },
+
+  'sec-get-dataview.prototype.byteoffset': {
+    'throws TypeError when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let view = spec.DataViewConstructor(buffer, 2);
+      assert.strictEqual(spec.getDataViewPrototypeByteOffset(view), 2);
+      spec.ArrayBufferPrototypeResize(buffer, 1);
+      assert.throws(() => spec.getDataViewPrototypeByteOffset(view), TypeError);
+    },
+  },
+
+  'sec-atomics.compareexchange': {
+    'replaces the value only when it matches'() {
+      let ta = spec.TypedArrayConstructor('Int32Array', growable(8, 16), 0);
+      spec.AtomicsStore(ta, 0, 5);
+      assert.strictEqual(spec.AtomicsCompareExchange(ta, 0, 5, 7), 5);
+      assert.strictEqual(spec.TypedArrayGetIndex(ta, 0), 7);
+      assert.strictEqual(spec.AtomicsCompareExchange(ta, 0, 5, 9), 7);
+      assert.strictEqual(spec.TypedArrayGetIndex(ta, 0), 7);
+    },
+    'compares BigInts'() {
+      let ta = spec.TypedArrayConstructor('BigInt64Array', resizable(8, 16), 0);
+      assert.strictEqual(spec.AtomicsCompareExchange(ta, 0, 0, -1), 0n);
+      assert.strictEqual(spec.TypedArrayGetIndex(ta, 0), -1n);
+    },
+    'throws TypeError when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Int8Array', buffer, 4, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      assert.throws(() => spec.AtomicsCompareExchange(ta, 0, 0, 1), TypeError);
+    },
+  },
+
+  'sec-atomics.store': {
+    'stores to a growable SharedArrayBuffer'() {
+      let buffer = growable(8, 16);
+      let ta = spec.TypedArrayConstructor('Int32Array', buffer, 0);
+      assert.strictEqual(spec.AtomicsStore(ta, 0, 5.7), 5);
+      assert.strictEqual(spec.TypedArrayGetIndex(ta, 0), 5);
+    },
+    'throws TypeError when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Int8Array', buffer, 4, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      assert.throws(() => spec.AtomicsStore(ta, 0, 1), TypeError);
+    },
+  },
+
+  'sec-atomicreadmodifywrite': {
+    'applies the modification and returns the old value'() {
+      let ta = spec.TypedArrayConstructor('Int8Array', growable(4, 8), 0);
+      spec.AtomicsStore(ta, 1, 3);
+      let add = (oldBytes, newBytes) => oldBytes.map((byte, i) => byte + newBytes[i]);
+      assert.strictEqual(spec.AtomicReadModifyWrite(ta, 1, 4, add), 3);
+      assert.strictEqual(spec.TypedArrayGetIndex(ta, 1), 7);
+    },
+    'throws TypeError when out of bounds'() {
+      let buffer = resizable(8, 16);
+      let ta = spec.TypedArrayConstructor('Int8Array', buffer, 4, 4);
+      spec.ArrayBufferPrototypeResize(buffer, 6);
+      assert.throws(
+        () => spec.AtomicReadModifyWrite(ta, 0, 1, (oldBytes, newBytes) => newBytes),
+        TypeError
+      );
+    },
+  },
+
+  'sec-validateatomicaccess': {
+    'returns the byte index of the element'() {
+      let ta = spec.TypedArrayConstructor('Int32Array', resizable(16, 16), 4);
+      assert.strictEqual(spec.ValidateAtomicAccess(ta, 2), 12);
+    },
+    'throws RangeError past the current length'() {
+      let buffer = resizable(16, 16);
+      let ta = spec.TypedArrayConstructor('Int32Array', buffer, 0);
+      spec.ArrayBufferPrototypeResize(buffer, 8);
+      assert.throws(() => spec.ValidateAtomicAccess(ta, 2), RangeError);
+    },
+  },
+};
+
+test('every clause has tests', () => {
+  assert.deepStrictEqual(Object.keys(tests).sort(), Object.keys(spec.clauses).sort());
+});
+
+Object.keys(tests).forEach(id => {
+  describe(id, () => {
+    Object.keys(tests[id]).forEach(name => {
+      test(name, tests[id][name]);
+    });
+  });
+});